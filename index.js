@@ -1,9 +1,33 @@
 const express = require('express');
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
 const cors = require('cors');
 const connectToDatabase = require('./db');
 const Meeting = require('./models/Meeting');
+const {
+  DEFAULT_CALENDAR_ID,
+  normalizeAttendees,
+  buildOccurrence,
+  listMeetings,
+  highestSeverity,
+  checkTimeConflict,
+  resolveMeeting,
+  validateImportance
+} = require('./lib/meetings');
+const { updateMeeting, deleteMeeting } = require('./lib/series');
+const { normalizeRecurrence } = require('./lib/recurrence');
+const { findAvailableSlots } = require('./lib/availability');
+const { buildResolutionProposals, applyResolutionProposal } = require('./lib/resolution');
+const { recordConflict, listConflicts, getConflict } = require('./lib/conflicts');
+const { syncConflictLinks, listConflictLinks, recomputeConflictLinks } = require('./lib/conflictLinks');
+const { getSchedulingRules, updateSchedulingRules, checkSchedulingRules } = require('./lib/schedulingRules');
+const { getChangeSet, getMeetingHistory, undoLastChange } = require('./lib/history');
+const { sessionStore, runAgent, confirmActions, clearSession } = require('./lib/agent');
+const { checkLLMConfig } = require('./lib/llm');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, parseDateTime, getAllDayBounds, withLocalTimes } = require('./lib/timezone');
+const { exportMeetings, importMeetings } = require('./lib/ics');
+const { prioritizeMeetings } = require('./lib/prioritization');
+const { runBulkOperation } = require('./lib/bulk');
+const { createFeedToken, revokeFeedToken, verifyFeedToken, matchesETag, buildFeed } = require('./lib/feeds');
 
 dotenv.config();
 
@@ -13,56 +37,15 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Store conversation histories (in production, use Redis or a database)
-const conversationHistories = new Map();
-
-// Helper function to manage conversation history
-const getConversationHistory = (sessionId) => {
-  if (!conversationHistories.has(sessionId)) {
-    conversationHistories.set(sessionId, []);
-  }
-  return conversationHistories.get(sessionId);
-};
-
-const addToHistory = (sessionId, userMessage, assistantMessage, toolCall = null, toolResult = null) => {
-  const history = getConversationHistory(sessionId);
-  
-  // Add user message
-  history.push({
-    role: 'user',
-    content: userMessage
-  });
-  
-  // Add assistant message with tool calls if present
-  if (toolCall && assistantMessage.tool_calls) {
-    history.push({
-      role: 'assistant',
-      content: assistantMessage.content || null,
-      tool_calls: assistantMessage.tool_calls
-    });
-    
-    // Add tool result
-    if (toolResult) {
-      history.push({
-        role: 'tool',
-        tool_call_id: toolCall.id,
-        content: JSON.stringify(toolResult)
-      });
-    }
-  } else {
-    // Regular assistant message without tools
-    history.push({
-      role: 'assistant',
-      content: assistantMessage.content
-    });
+// Only GET /api/meetings lists several calendars (see getRequestCalendarIds); anywhere else a repeated
+// calendarId would be read as one calendar named after the whole list
+app.use((req, res, next) => {
+  const listing = req.method === 'GET' && /^\/api\/meetings\/?$/.test(req.path);
+  if (!listing && (Array.isArray(req.query?.calendarId) || Array.isArray(req.body?.calendarId))) {
+    return res.status(400).json({ error: 'calendarId must name a single calendar here' });
   }
-  
-  // Keep only last 3 exchanges (limit to 9 messages to account for tool calls)
-  // Each exchange can be: user message + assistant message + optional tool message
-  if (history.length > 9) {
-    conversationHistories.set(sessionId, history.slice(-9));
-  }
-};
+  next();
+});
 
 // 1. Health Check Route
 app.get('/', (req, res) => {
@@ -77,18 +60,39 @@ app.get('/api', (req, res) => {
     description: 'Natural language calendar management with AI agent and conversation context',
     endpoints: {
       agent: 'POST /api/agent (Main AI agent - accepts natural language queries)',
+      agentStream: 'POST /api/agent/stream (Same as /api/agent, streamed as Server-Sent Events)',
       clearHistory: 'POST /api/agent/clear-history (Clear conversation history for a session)',
+      confirmAction: 'POST /api/agent/confirm (Run or cancel agent changes waiting for confirmation)',
       health: 'GET /health',
       createMeeting: 'POST /api/meetings',
-      getMeetings: 'GET /api/meetings',
+      getMeetings: 'GET /api/meetings?q=...&attendee=...&hasConflict=true&sort=-startTime&cursor=... (Search, filter, sort and page)',
       getMeetingById: 'GET /api/meetings/:id',
       updateMeeting: 'PUT /api/meetings/:id',
-      deleteMeeting: 'DELETE /api/meetings/:id'
+      deleteMeeting: 'DELETE /api/meetings/:id (Soft delete; can be undone)',
+      meetingHistory: 'GET /api/meetings/:id/history (Versioned changes: who, when, before/after)',
+      undoChange: 'POST /api/meetings/undo (Undo the last change, optionally of one meeting or session)',
+      resolveConflict: 'POST /api/meetings/resolve (Apply a conflict resolution proposal)',
+      prioritizeMeetings: 'POST /api/meetings/prioritize (Rank clashing meetings: keep, move or decline)',
+      bulkMeetings: 'POST /api/meetings/bulk (Create, update, shift or cancel many meetings; supports dryRun)',
+      exportMeetings: 'GET /api/meetings/export.ics?startDate=...&endDate=... (iCalendar file)',
+      importMeetings: 'POST /api/meetings/import (Upload an .ics file as text/calendar; events are upserted by UID)',
+      availability: 'GET /api/availability?duration=45&startDate=...&endDate=...&attendees=jane@example.com',
+      getConflicts: 'GET /api/conflicts?outcome=pending&type=calendar_conflict&meetingId=...',
+      getConflictById: 'GET /api/conflicts/:id',
+      recomputeConflicts: 'POST /api/conflicts/recompute (Rebuild hasConflict flags for existing meetings)',
+      schedulingRules: 'GET|PUT /api/calendars/:id/scheduling-rules (Buffers, travel time, working hours, focus time)',
+      createFeedToken: 'POST /api/calendars/:id/feed-token (Create the subscription feed URL; rotating needs the current token)',
+      revokeFeedToken: 'DELETE /api/calendars/:id/feed-token (Needs the current token)',
+      calendarFeed: 'GET /api/calendars/:id/feed.ics?token=... (Read-only feed for calendar apps)'
     },
     examples: [
       'POST /api/agent with body: {"query": "Schedule a team meeting tomorrow at 2pm for 1 hour", "sessionId": "user123"}',
       'POST /api/agent with body: {"query": "Show me all my meetings this week", "sessionId": "user123"}',
-      'POST /api/agent with body: {"query": "Move it to 3pm", "sessionId": "user123"} // Uses context from previous queries'
+      'POST /api/agent with body: {"query": "Move it to 3pm", "sessionId": "user123"} // Uses context from previous queries',
+      'POST /api/agent with body: {"query": "What do I have today?", "sessionId": "s1", "userId": "jane"} // Scoped to Jane\'s calendar',
+      'POST /api/agent with body: {"query": "Lunch with Sam tomorrow at 1pm", "sessionId": "s1", "timeZone": "Asia/Karachi"} // Times read and shown in Karachi time',
+      'GET /api/meetings with header: X-Calendar-Id: jane',
+      'GET /api/meetings?startDate=2025-12-01&endDate=2025-12-08 with header: X-Time-Zone: Europe/Berlin'
     ]
   });
 });
@@ -103,12 +107,13 @@ app.get('/health', async (req, res) => {
       nodeEnv: process.env.NODE_ENV || 'development',
       hasMongoURI: !!process.env.MONGO_URI
     },
-    activeConversations: conversationHistories.size
+    sessionStore: sessionStore.type
   };
 
   try {
     await connectToDatabase();
     healthCheck.database = 'connected';
+    healthCheck.activeConversations = await sessionStore.count();
     const meetingCount = await Meeting.countDocuments();
     healthCheck.totalMeetings = meetingCount;
     res.status(200).json(healthCheck);
@@ -120,39 +125,84 @@ app.get('/health', async (req, res) => {
 });
 
 // Clear conversation history
-app.post('/api/agent/clear-history', (req, res) => {
-  const { sessionId } = req.body;
-  
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId is required' });
+app.post('/api/agent/clear-history', async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+    
+    await clearSession(sessionId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Conversation history cleared'
+    });
+  } catch (error) {
+    console.error('Error clearing history:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
   }
-  
-  conversationHistories.delete(sessionId);
-  
-  res.status(200).json({
-    success: true,
-    message: 'Conversation history cleared'
-  });
 });
 
-// Helper function to check for time conflicts
-const checkTimeConflict = async (startTime, endTime, excludeMeetingId = null) => {
-  const query = {
-    $or: [
-      {
-        // New meeting starts during existing meeting
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime }
-      }
-    ]
-  };
+// Run (or with "confirm": false, cancel) changes the agent is holding back for confirmation
+app.post('/api/agent/confirm', async (req, res) => {
+  try {
+    const { sessionId, token, tokens, confirm = true } = req.body;
 
-  if (excludeMeetingId) {
-    query._id = { $ne: excludeMeetingId };
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    await connectToDatabase();
+
+    // Without token(s), every change waiting in the session is confirmed
+    const outcome = await confirmActions({
+      sessionId,
+      tokens: tokens || (token ? [token] : undefined),
+      confirm: confirm !== false,
+      source: 'agent'
+    });
+
+    if (outcome.error) {
+      return res.status(404).json({ error: outcome.error });
+    }
+
+    res.status(200).json({
+      success: outcome.actions.every(a => !a.result || a.result.success),
+      message: confirm !== false
+        ? `Ran ${outcome.actions.length} confirmed change(s)`
+        : `Cancelled ${outcome.actions.length} change(s)`,
+      actions: outcome.actions
+    });
+  } catch (error) {
+    console.error('Error confirming agent action:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
   }
+});
+
+// REST callers pick a calendar with the X-Calendar-Id header or a calendarId query/body parameter
+const getRequestCalendarId = (req) => {
+  return req.get('x-calendar-id') || req.query?.calendarId || req.body?.calendarId || DEFAULT_CALENDAR_ID;
+};
+
+// Listing meetings reads several calendars at once: comma-separated, or a repeated calendarId query parameter
+const getRequestCalendarIds = (req) => {
+  return [].concat(getRequestCalendarId(req))
+    .flatMap(calendarId => String(calendarId).split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+};
 
-  const conflictingMeetings = await Meeting.find(query);
-  return conflictingMeetings;
+// REST callers pick a display/input time zone with the X-Time-Zone header or a timeZone query/body parameter
+const getRequestTimeZone = (req) => {
+  return req.get('x-time-zone') || req.query?.timeZone || req.body?.timeZone || null;
 };
 
 // Supervisor-compatible endpoint - accepts AgentRequest format
@@ -160,8 +210,8 @@ app.post('/api/supervisor/handle', async (req, res) => {
   try {
     const { request_id, agent_name, intent, input, context } = req.body;
 
-    // Validate required fields from AgentRequest
-    if (!input || !input.text) {
+    // Validate required fields from AgentRequest (a confirmation answer needs no text)
+    if (!input || (!input.text && !input.confirmation_token)) {
       return res.status(400).json({
         request_id: request_id || 'unknown',
         agent_name: agent_name || 'calendar_manager_agent',
@@ -175,16 +225,31 @@ app.post('/api/supervisor/handle', async (req, res) => {
 
     const query = input.text;
     const sessionId = context?.session_id || context?.user_id || 'supervisor_session';
+    const calendarId = context?.calendar_id || context?.user_id || DEFAULT_CALENDAR_ID;
+    const timeZone = context?.time_zone || context?.timezone || context?.timeZone;
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        request_id: request_id || 'unknown',
+        agent_name: agent_name || 'calendar_manager_agent',
+        status: 'error',
+        error: {
+          type: 'validation_error',
+          message: `Invalid time zone: ${timeZone}`
+        }
+      });
+    }
 
     // Validate environment variables
-    if (!process.env.OPENAI_API_KEY) {
+    const llmConfigError = checkLLMConfig();
+    if (llmConfigError) {
       return res.status(500).json({
         request_id: request_id || 'unknown',
         agent_name: agent_name || 'calendar_manager_agent',
         status: 'error',
         error: {
           type: 'config_error',
-          message: 'Missing OpenAI API key'
+          message: llmConfigError
         }
       });
     }
@@ -200,381 +265,65 @@ app.post('/api/supervisor/handle', async (req, res) => {
       });
     }
 
-    // Initialize OpenAI client
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     // Connect to DB
     await connectToDatabase();
 
-    // Define available tools for the agent
-    const tools = [
-      {
-        type: "function",
-        function: {
-          name: "create_meeting",
-          description: "Create a new meeting in the calendar. Automatically checks for conflicts with existing meetings.",
-          parameters: {
-            type: "object",
-            properties: {
-              title: {
-                type: "string",
-                description: "The title/name of the meeting"
-              },
-              description: {
-                type: "string",
-                description: "Detailed description of the meeting"
-              },
-              startTime: {
-                type: "string",
-                description: "Start time in ISO 8601 format (e.g., 2025-12-05T10:00:00Z)"
-              },
-              endTime: {
-                type: "string",
-                description: "End time in ISO 8601 format (e.g., 2025-12-05T11:00:00Z)"
-              },
-              forceCreate: {
-                type: "boolean",
-                description: "Set to true to create meeting even if there's a conflict (only after user confirms)"
-              }
-            },
-            required: ["title", "startTime", "endTime"]
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "get_meetings",
-          description: "Retrieve meetings from the calendar. Can filter by date range.",
-          parameters: {
-            type: "object",
-            properties: {
-              startDate: {
-                type: "string",
-                description: "Filter meetings starting from this date (ISO 8601)"
-              },
-              endDate: {
-                type: "string",
-                description: "Filter meetings up to this date (ISO 8601)"
-              },
-              limit: {
-                type: "number",
-                description: "Maximum number of meetings to return (default 50)"
-              }
-            }
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "update_meeting",
-          description: "Update an existing meeting. Can modify title, times, attendees, location, or status.",
-          parameters: {
-            type: "object",
-            properties: {
-              meetingId: {
-                type: "string",
-                description: "The ID of the meeting to update"
-              },
-              title: {
-                type: "string",
-                description: "New title for the meeting"
-              },
-              description: {
-                type: "string",
-                description: "New description"
-              },
-              startTime: {
-                type: "string",
-                description: "New start time in ISO 8601 format"
-              },
-              endTime: {
-                type: "string",
-                description: "New end time in ISO 8601 format"
-              }
-            },
-            required: ["meetingId"]
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "delete_meeting",
-          description: "Delete a meeting from the calendar.",
-          parameters: {
-            type: "object",
-            properties: {
-              meetingId: {
-                type: "string",
-                description: "The ID of the meeting to delete"
-              }
-            },
-            required: ["meetingId"]
-          }
-        }
-      }
-    ];
-
-    // Get conversation history for this session
-    const history = getConversationHistory(sessionId);
-
-    // Build messages array with system prompt, history, and current query
-    const messages = [
-      {
-        role: "system",
-        content: `You are a helpful calendar management AI agent. You can help users create, view, update, and delete meetings.
-
-When users ask about their calendar:
-- Parse dates and times from natural language (convert to ISO 8601 format)
-- Understand relative times (e.g., "tomorrow at 2pm", "next Monday")
-- Extract meeting details from conversational requests
-- Use the provided functions to interact with the calendar system
-- Always confirm the action taken and provide relevant details
-- Use context from previous messages to understand references like "it", "that meeting", "the same time", etc.
-
-IMPORTANT - Conflict Handling:
-- When creating a meeting, if there's a time conflict, DO NOT create the meeting automatically
-- Instead, inform the user about the conflict and the conflicting meeting(s)
-- Ask the user to either:
-  1. Choose a different time
-  2. Confirm they want to proceed anyway (use forceCreate: true parameter)
-- Only create a conflicting meeting if the user explicitly confirms they want to proceed despite the conflict
-
-Current date/time context: ${new Date().toISOString()}`
-      },
-      ...history,
-      {
-        role: "user",
-        content: query
-      }
-    ];
-
-    // Call OpenAI with function calling
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: messages,
-      tools: tools,
-      tool_choice: "auto"
-    });
+    // input.confirmation_token answers an earlier needs_confirmation response (input.confirm: false cancels)
+    if (input.confirmation_token) {
+      const confirm = input.confirm !== false;
+      const outcome = await confirmActions({
+        sessionId,
+        tokens: [].concat(input.confirmation_token),
+        confirm,
+        source: 'supervisor'
+      });
 
-    const assistantMessage = response.choices[0].message;
-
-    // Check if the model wants to call a function
-    if (assistantMessage.tool_calls && assistantMessage.tool_calls.length > 0) {
-      const toolCall = assistantMessage.tool_calls[0];
-      const functionName = toolCall.function.name;
-      const functionArgs = JSON.parse(toolCall.function.arguments);
-
-      let functionResult;
-
-      // Execute the appropriate function
-      switch (functionName) {
-        case 'create_meeting':
-          const startTime = new Date(functionArgs.startTime);
-          const endTime = new Date(functionArgs.endTime);
-          
-          // Check for conflicts
-          const conflicts = await checkTimeConflict(startTime, endTime);
-          
-          if (conflicts.length > 0 && !functionArgs.forceCreate) {
-            // Return conflict warning without creating
-            functionResult = {
-              success: false,
-              hasConflict: true,
-              message: '⚠️ Time conflict detected! The requested time overlaps with existing meeting(s).',
-              conflictingMeetings: conflicts.map(m => ({
-                id: m._id,
-                title: m.title,
-                startTime: m.startTime,
-                endTime: m.endTime
-              })),
-              suggestion: 'Would you like to schedule at a different time, or proceed anyway?'
-            };
-          } else {
-            // No conflict or forceCreate is true
-            const newMeeting = await Meeting.create({
-              title: functionArgs.title,
-              description: functionArgs.description || '',
-              startTime: startTime,
-              endTime: endTime,
-              hasConflict: conflicts.length > 0
-            });
-            
-            functionResult = {
-              success: true,
-              message: conflicts.length > 0 
-                ? '✅ Meeting created (conflict override confirmed)'
-                : '✅ Meeting created successfully',
-              meeting: {
-                id: newMeeting._id,
-                title: newMeeting.title,
-                description: newMeeting.description,
-                startTime: newMeeting.startTime,
-                endTime: newMeeting.endTime
-              }
-            };
-          }
-          break;
-
-        case 'get_meetings':
-          let query = {};
-          if (functionArgs.startDate || functionArgs.endDate) {
-            query.startTime = {};
-            if (functionArgs.startDate) {
-              query.startTime.$gte = new Date(functionArgs.startDate);
-            }
-            if (functionArgs.endDate) {
-              query.startTime.$lte = new Date(functionArgs.endDate);
-            }
-          }
-          
-          const meetings = await Meeting.find(query)
-            .sort({ startTime: 1 })
-            .limit(functionArgs.limit || 50);
-          
-          functionResult = {
-            success: true,
-            count: meetings.length,
-            meetings: meetings.map(m => ({
-              id: m._id,
-              title: m.title,
-              description: m.description,
-              startTime: m.startTime,
-              endTime: m.endTime,
-              hasConflict: m.hasConflict
-            }))
-          };
-          break;
-
-        case 'update_meeting':
-          const meetingToUpdate = await Meeting.findById(functionArgs.meetingId);
-          
-          if (!meetingToUpdate) {
-            functionResult = {
-              success: false,
-              message: '❌ Meeting not found'
-            };
-          } else {
-            if (functionArgs.title) meetingToUpdate.title = functionArgs.title;
-            if (functionArgs.description !== undefined) meetingToUpdate.description = functionArgs.description;
-            
-            if (functionArgs.startTime || functionArgs.endTime) {
-              const newStart = functionArgs.startTime ? new Date(functionArgs.startTime) : meetingToUpdate.startTime;
-              const newEnd = functionArgs.endTime ? new Date(functionArgs.endTime) : meetingToUpdate.endTime;
-              
-              const conflicts = await checkTimeConflict(newStart, newEnd, meetingToUpdate._id);
-              
-              meetingToUpdate.startTime = newStart;
-              meetingToUpdate.endTime = newEnd;
-              meetingToUpdate.hasConflict = conflicts.length > 0;
-            }
-            
-            await meetingToUpdate.save();
-            
-            functionResult = {
-              success: true,
-              message: '✅ Meeting updated successfully',
-              meeting: {
-                id: meetingToUpdate._id,
-                title: meetingToUpdate.title,
-                description: meetingToUpdate.description,
-                startTime: meetingToUpdate.startTime,
-                endTime: meetingToUpdate.endTime
-              }
-            };
+      if (outcome.error) {
+        return res.status(404).json({
+          request_id: request_id || 'unknown',
+          agent_name: agent_name || 'calendar_manager_agent',
+          status: 'error',
+          error: {
+            type: 'confirmation_error',
+            message: outcome.error
           }
-          break;
-
-        case 'delete_meeting':
-          const deletedMeeting = await Meeting.findByIdAndDelete(functionArgs.meetingId);
-          
-          if (!deletedMeeting) {
-            functionResult = {
-              success: false,
-              message: '❌ Meeting not found'
-            };
-          } else {
-            functionResult = {
-              success: true,
-              message: '✅ Meeting deleted successfully',
-              deletedMeeting: {
-                id: deletedMeeting._id,
-                title: deletedMeeting.title
-              }
-            };
-          }
-          break;
-
-        default:
-          functionResult = {
-            success: false,
-            message: `Unknown function: ${functionName}`
-          };
+        });
       }
 
-      // Add to conversation history
-      addToHistory(sessionId, query, assistantMessage, toolCall, functionResult);
-
-      // Get final response with function result
-      const finalMessages = [
-        {
-          role: "system",
-          content: `You are a helpful calendar management AI agent. Provide clear, concise responses about calendar operations.`
-        },
-        ...history,
-        {
-          role: "user",
-          content: query
-        },
-        {
-          role: "assistant",
-          content: assistantMessage.content || null,
-          tool_calls: assistantMessage.tool_calls
-        },
-        {
-          role: "tool",
-          tool_call_id: toolCall.id,
-          content: JSON.stringify(functionResult)
-        }
-      ];
-
-      const finalResponse = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: finalMessages
-      });
-
-      const finalAnswer = finalResponse.choices[0].message.content;
-
-      // Return in AgentResponse format
       return res.status(200).json({
         request_id: request_id,
         agent_name: agent_name || 'calendar_manager_agent',
         status: 'success',
         output: {
-          result: finalAnswer,
-          data: functionResult
-        }
-      });
-
-    } else {
-      // No tool call, just return the assistant's message
-      addToHistory(sessionId, query, assistantMessage);
-
-      // Return in AgentResponse format
-      return res.status(200).json({
-        request_id: request_id,
-        agent_name: agent_name || 'calendar_manager_agent',
-        status: 'success',
-        output: {
-          result: assistantMessage.content
+          result: outcome.actions
+            .map(a => `${a.preview.description}: ${confirm ? (a.result.success ? 'done' : a.result.error) : 'cancelled'}`)
+            .join('\n'),
+          data: outcome.actions.length === 1 ? outcome.actions[0].result : undefined,
+          actions: outcome.actions
         }
       });
     }
 
+    const run = await runAgent({ query, sessionId, calendarId, timeZone, source: 'supervisor' });
+    const lastAction = run.actions[run.actions.length - 1];
+
+    // Return in AgentResponse format; held-back changes are answered with input.confirmation_token
+    return res.status(200).json({
+      request_id: request_id,
+      agent_name: agent_name || 'calendar_manager_agent',
+      status: run.pendingConfirmations.length > 0 ? 'needs_confirmation' : 'success',
+      output: {
+        result: run.answer,
+        data: lastAction?.result,
+        actions: run.actions,
+        pendingConfirmations: run.pendingConfirmations,
+        iterations: run.iterations,
+        iterationLimitReached: run.iterationLimitReached,
+        model: run.model,
+        timeZone: run.timeZone
+      }
+    });
+
   } catch (error) {
     console.error('Error in supervisor handler:', error.message);
     return res.status(500).json({
@@ -589,359 +338,98 @@ Current date/time context: ${new Date().toISOString()}`
   }
 });
 
-// AI Agent Endpoint - Main entry point for natural language queries
-app.post('/api/agent', async (req, res) => {
+// Writes one Server-Sent Event (skipped once the client has gone away)
+const sendEvent = (res, type, data) => {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// AI Agent Endpoint - Main entry point for natural language queries.
+// Streams Server-Sent Events on /api/agent/stream or with "Accept: text/event-stream".
+const handleAgentRequest = async (req, res) => {
   try {
-    const { query, sessionId } = req.body;
+    const { query, sessionId, userId, timeZone } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
 
     // Use sessionId or generate one if not provided
     const session = sessionId || 'default';
+    const calendarId = req.body.calendarId || userId || DEFAULT_CALENDAR_ID;
 
     // Validate environment variables
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('Missing OPENAI_API_KEY');
-      return res.status(500).json({ error: 'Server configuration error: Missing OpenAI API key' });
+    const llmConfigError = checkLLMConfig();
+    if (llmConfigError) {
+      console.error(llmConfigError);
+      return res.status(500).json({ error: `Server configuration error: ${llmConfigError}` });
     }
     if (!process.env.MONGO_URI) {
       console.error('Missing MONGO_URI');
       return res.status(500).json({ error: 'Server configuration error: Missing MongoDB URI' });
     }
 
-    // Initialize OpenAI client
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     // Connect to DB
     await connectToDatabase();
 
-    // Define available tools for the agent
-    const tools = [
-      {
-        type: "function",
-        function: {
-          name: "create_meeting",
-          description: "Create a new meeting in the calendar. Automatically checks for conflicts with existing meetings.",
-          parameters: {
-            type: "object",
-            properties: {
-              title: {
-                type: "string",
-                description: "The title/name of the meeting"
-              },
-              description: {
-                type: "string",
-                description: "Detailed description of the meeting"
-              },
-              startTime: {
-                type: "string",
-                description: "Start time in ISO 8601 format (e.g., 2025-12-05T10:00:00Z)"
-              },
-              endTime: {
-                type: "string",
-                description: "End time in ISO 8601 format (e.g., 2025-12-05T11:00:00Z)"
-              },
-              forceCreate: {
-                type: "boolean",
-                description: "Set to true to create meeting even if there's a conflict (only after user confirms)"
-              }
-            },
-            required: ["title", "startTime", "endTime"]
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "get_meetings",
-          description: "Retrieve meetings from the calendar. Can filter by date range.",
-          parameters: {
-            type: "object",
-            properties: {
-              startDate: {
-                type: "string",
-                description: "Filter meetings starting from this date (ISO 8601)"
-              },
-              endDate: {
-                type: "string",
-                description: "Filter meetings up to this date (ISO 8601)"
-              },
-              limit: {
-                type: "number",
-                description: "Maximum number of meetings to return (default 50)"
-              }
-            }
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "update_meeting",
-          description: "Update an existing meeting. Can modify title, times, attendees, location, or status.",
-          parameters: {
-            type: "object",
-            properties: {
-              meetingId: {
-                type: "string",
-                description: "The ID of the meeting to update"
-              },
-              title: {
-                type: "string",
-                description: "New title for the meeting"
-              },
-              description: {
-                type: "string",
-                description: "New description"
-              },
-              startTime: {
-                type: "string",
-                description: "New start time in ISO 8601 format"
-              },
-              endTime: {
-                type: "string",
-                description: "New end time in ISO 8601 format"
-              }
-            },
-            required: ["meetingId"]
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "delete_meeting",
-          description: "Delete a meeting from the calendar.",
-          parameters: {
-            type: "object",
-            properties: {
-              meetingId: {
-                type: "string",
-                description: "The ID of the meeting to delete"
-              }
-            },
-            required: ["meetingId"]
-          }
-        }
-      }
-    ];
-
-    // Get conversation history for this session
-    const history = getConversationHistory(session);
-
-    // Build messages array with system prompt, history, and current query
-    const messages = [
-      {
-        role: "system",
-        content: `You are a helpful calendar management AI agent. You can help users create, view, update, and delete meetings.
-
-When users ask about their calendar:
-- Parse dates and times from natural language (convert to ISO 8601 format)
-- Understand relative times (e.g., "tomorrow at 2pm", "next Monday")
-- Extract meeting details from conversational requests
-- Use the provided functions to interact with the calendar system
-- Always confirm the action taken and provide relevant details
-- Use context from previous messages to understand references like "it", "that meeting", "the same time", etc.
-
-IMPORTANT - Conflict Handling:
-- When creating a meeting, if there's a time conflict, DO NOT create the meeting automatically
-- Instead, inform the user about the conflict and the conflicting meeting(s)
-- Ask the user to either:
-  1. Choose a different time
-  2. Confirm they want to proceed anyway (use forceCreate: true parameter)
-- Only create a conflicting meeting if the user explicitly confirms they want to proceed despite the conflict
-
-Current date/time context: ${new Date().toISOString()}`
-      },
-      ...history,
-      {
-        role: "user",
-        content: query
-      }
-    ];
-
-    // Call OpenAI with function calling
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: messages,
-      tools: tools,
-      tool_choice: "auto"
-    });
-
-    const assistantMessage = response.choices[0].message;
-
-    // Check if the model wants to call a function
-    if (assistantMessage.tool_calls && assistantMessage.tool_calls.length > 0) {
-      const toolCall = assistantMessage.tool_calls[0];
-      const functionName = toolCall.function.name;
-      const functionArgs = JSON.parse(toolCall.function.arguments);
-
-      let functionResult;
-
-      // Execute the appropriate function
-      switch (functionName) {
-        case 'create_meeting':
-          const start = new Date(functionArgs.startTime);
-          const end = new Date(functionArgs.endTime);
-
-          if (end <= start) {
-            functionResult = { error: 'endTime must be after startTime' };
-            break;
-          }
-
-          const conflicts = await checkTimeConflict(start, end);
-          const hasConflict = conflicts.length > 0;
-
-          // If there's a conflict and user hasn't confirmed, don't create the meeting
-          if (hasConflict && !functionArgs.forceCreate) {
-            functionResult = {
-              success: false,
-              hasConflict: true,
-              requiresConfirmation: true,
-              message: 'Time conflict detected. Please choose a different time or confirm to create anyway.',
-              conflicts: conflicts.map(m => ({
-                id: m._id,
-                title: m.title,
-                startTime: m.startTime,
-                endTime: m.endTime
-              })),
-              proposedMeeting: {
-                title: functionArgs.title,
-                description: functionArgs.description,
-                startTime: start,
-                endTime: end
-              }
-            };
-            break;
-          }
-
-          // Create meeting if no conflict or user has confirmed
-          const newMeeting = await Meeting.create({
-            title: functionArgs.title,
-            description: functionArgs.description,
-            startTime: start,
-            endTime: end,
-            hasConflict
-          });
-
-          functionResult = {
-            success: true,
-            meeting: newMeeting,
-            hasConflict,
-            conflicts: hasConflict ? conflicts.map(m => ({
-              id: m._id,
-              title: m.title,
-              startTime: m.startTime,
-              endTime: m.endTime
-            })) : []
-          };
-          break;
-
-        case 'get_meetings':
-          let query = {};
-          if (functionArgs.startDate || functionArgs.endDate) {
-            query.startTime = {};
-            if (functionArgs.startDate) query.startTime.$gte = new Date(functionArgs.startDate);
-            if (functionArgs.endDate) query.startTime.$lte = new Date(functionArgs.endDate);
-          }
+    const stream = req.path === '/api/agent/stream' || !!req.get('accept')?.includes('text/event-stream');
 
-          const meetings = await Meeting.find(query)
-            .sort({ startTime: 1 })
-            .limit(functionArgs.limit || 50);
-
-          functionResult = {
-            success: true,
-            count: meetings.length,
-            meetings: meetings
-          };
-          break;
-
-        case 'update_meeting':
-          const meeting = await Meeting.findById(functionArgs.meetingId);
-          
-          if (!meeting) {
-            functionResult = { success: false, error: 'Meeting not found' };
-            break;
-          }
-
-          if (functionArgs.title) meeting.title = functionArgs.title;
-          if (functionArgs.description !== undefined) meeting.description = functionArgs.description;
-
-          if (functionArgs.startTime || functionArgs.endTime) {
-            const newStart = functionArgs.startTime ? new Date(functionArgs.startTime) : meeting.startTime;
-            const newEnd = functionArgs.endTime ? new Date(functionArgs.endTime) : meeting.endTime;
-
-            if (newEnd <= newStart) {
-              functionResult = { success: false, error: 'endTime must be after startTime' };
-              break;
-            }
-
-            const updateConflicts = await checkTimeConflict(newStart, newEnd, meeting._id);
-            meeting.startTime = newStart;
-            meeting.endTime = newEnd;
-            meeting.hasConflict = updateConflicts.length > 0;
-          }
-
-          await meeting.save();
-          functionResult = { success: true, meeting };
-          break;
-
-        case 'delete_meeting':
-          const deletedMeeting = await Meeting.findByIdAndDelete(functionArgs.meetingId);
-          
-          if (!deletedMeeting) {
-            functionResult = { success: false, error: 'Meeting not found' };
-          } else {
-            functionResult = { success: true, deletedMeeting };
-          }
-          break;
-
-        default:
-          functionResult = { error: 'Unknown function' };
-      }
-
-      // Send the function result back to OpenAI for a natural language response
-      const secondResponse = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          ...messages,
-          assistantMessage,
-          {
-            role: "tool",
-            tool_call_id: toolCall.id,
-            content: JSON.stringify(functionResult)
-          }
-        ]
+    if (stream) {
+      // Events: thinking, tool_call_started, tool_call_finished, token (answer text), then done or error
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
       });
 
-      const finalResponse = secondResponse.choices[0].message.content;
-
-      // Add to conversation history (including tool call and result)
-      addToHistory(session, query, assistantMessage, toolCall, functionResult);
+      try {
+        const run = await runAgent({
+          query,
+          sessionId: session,
+          calendarId,
+          timeZone,
+          source: 'agent',
+          onEvent: (type, data) => sendEvent(res, type, data)
+        });
+
+        sendEvent(res, 'done', {
+          success: true,
+          response: run.answer,
+          actions: run.actions,
+          pendingConfirmations: run.pendingConfirmations,
+          iterations: run.iterations,
+          iterationLimitReached: run.iterationLimitReached,
+          model: run.model,
+          timeZone: run.timeZone,
+          sessionId: session
+        });
+      } catch (error) {
+        console.error('Error in agent stream:', error.message);
+        sendEvent(res, 'error', { error: 'Internal Server Error', message: error.message });
+      }
 
-      return res.status(200).json({
-        success: true,
-        response: finalResponse,
-        action: functionName,
-        result: functionResult,
-        sessionId: session
-      });
+      return res.end();
+    }
 
-    } else {
-      // No function call - just return the assistant's message
-      addToHistory(session, query, assistantMessage);
+    const run = await runAgent({ query, sessionId: session, calendarId, timeZone, source: 'agent' });
+    const lastAction = run.actions[run.actions.length - 1];
 
-      return res.status(200).json({
-        success: true,
-        response: assistantMessage.content,
-        action: 'none',
-        sessionId: session
-      });
-    }
+    return res.status(200).json({
+      success: true,
+      response: run.answer,
+      action: lastAction ? lastAction.tool : 'none',
+      result: lastAction?.result,
+      actions: run.actions,
+      pendingConfirmations: run.pendingConfirmations,
+      iterations: run.iterations,
+      iterationLimitReached: run.iterationLimitReached,
+      model: run.model,
+      timeZone: run.timeZone,
+      sessionId: session
+    });
 
   } catch (error) {
     console.error('Error in agent:', error.message);
@@ -950,15 +438,31 @@ Current date/time context: ${new Date().toISOString()}`
       message: error.message 
     });
   }
+};
+
+app.post('/api/agent', handleAgentRequest);
+app.post('/api/agent/stream', handleAgentRequest);
+
+// A clashing meeting in a REST response, with how it overlaps the meeting being scheduled
+const describeConflict = (m) => ({
+  id: m._id,
+  title: m.title,
+  startTime: m.startTime,
+  endTime: m.endTime,
+  organizer: m.organizer,
+  attendees: m.attendees,
+  location: m.location,
+  priority: m.priority,
+  overlap: m.overlap
 });
 
 // 2. Create a new meeting
 app.post('/api/meetings', async (req, res) => {
   try {
-    const { title, description, startTime, endTime } = req.body;
+    const { title, description, startTime, endTime, organizer, attendees, location, exdates, allDay, priority, movable, required } = req.body;
 
-    // Validation
-    if (!title || !startTime || !endTime) {
+    // Validation (all-day meetings may leave out endTime for a single day)
+    if (!title || !startTime || (!endTime && !allDay)) {
       return res.status(400).json({ 
         error: 'Missing required fields',
         required: ['title', 'startTime', 'endTime']
@@ -974,49 +478,112 @@ app.post('/api/meetings', async (req, res) => {
     // Connect to DB
     await connectToDatabase();
 
+    // Times without an offset are wall time in the meeting's zone, which is stored with it
+    const timeZone = getRequestTimeZone(req) || DEFAULT_TIME_ZONE;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
     // Parse dates
-    const start = new Date(startTime);
-    const end = new Date(endTime);
+    let start = parseDateTime(startTime, timeZone);
+    let end = endTime ? parseDateTime(endTime, timeZone) : null;
 
     // Validate times
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (isNaN(start.getTime()) || (end && isNaN(end.getTime()))) {
       return res.status(400).json({ error: 'Invalid date format for startTime or endTime' });
     }
 
+    // All-day meetings cover whole local days
+    if (allDay) {
+      ({ startTime: start, endTime: end } = getAllDayBounds(start, end, timeZone));
+    }
+
     if (end <= start) {
       return res.status(400).json({ error: 'endTime must be after startTime' });
     }
 
-    // Check for conflicts
-    const conflictingMeetings = await checkTimeConflict(start, end);
+    const importanceError = validateImportance({ priority, movable, required });
+    if (importanceError) {
+      return res.status(400).json({ error: importanceError });
+    }
+
+    // Recurring series: an RRULE string or { rrule, exdates }
+    let recurrence;
+    try {
+      recurrence = normalizeRecurrence(req.body.recurrence, exdates);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const participants = {
+      organizer,
+      attendees: normalizeAttendees(attendees),
+      location
+    };
+
+    // Check for conflicts with meetings sharing a person or room (every occurrence of a series)
+    const calendarId = getRequestCalendarId(req);
+    const conflictingMeetings = await checkTimeConflict(start, end, null, { calendarId, ...participants, recurrence, timeZone });
     
     const hasConflict = conflictingMeetings.length > 0;
+    const conflictSeverity = highestSeverity(conflictingMeetings);
 
     // Create the meeting regardless of conflict
-    const newMeeting = await Meeting.create({
+    const newMeeting = new Meeting({
       title,
       description,
       startTime: start,
       endTime: end,
-      hasConflict
+      timeZone,
+      allDay: !!allDay,
+      calendarId,
+      ...participants,
+      priority,
+      movable,
+      required,
+      recurrence: recurrence || undefined,
+      hasConflict,
+      conflictSeverity
     });
+    await getChangeSet(calendarId, { source: 'rest' }).save(newMeeting);
+
+    // The meetings it clashes with are flagged too
+    await syncConflictLinks(newMeeting, conflictingMeetings);
+
+    // Buffers, travel time, working hours and focus time (warnings only)
+    const softConflicts = await checkSchedulingRules(calendarId, newMeeting, { excludeMeetingId: newMeeting._id });
 
     // Prepare response
     const response = {
       success: true,
       message: hasConflict 
         ? '⚠️ Meeting created successfully, but conflicts detected with existing meetings'
-        : '✅ Meeting created successfully',
+        : softConflicts.length > 0
+          ? '⚠️ Meeting created successfully, but it breaks some of your scheduling rules'
+          : '✅ Meeting created successfully',
       data: newMeeting
     };
 
+    if (softConflicts.length > 0) {
+      response.softConflicts = softConflicts;
+    }
+
     if (hasConflict) {
-      response.conflicts = conflictingMeetings.map(m => ({
-        id: m._id,
-        title: m.title,
-        startTime: m.startTime,
-        endTime: m.endTime
-      }));
+      response.conflicts = conflictingMeetings.map(describeConflict);
+      response.conflictSeverity = conflictSeverity;
+
+      const conflictRecord = await recordConflict({
+        calendarId,
+        meeting: newMeeting,
+        conflicts: conflictingMeetings,
+        source: 'rest'
+      });
+      response.conflictId = conflictRecord._id;
+
+      // Concrete ways out of the clash; apply one with POST /api/meetings/resolve
+      response.proposals = await buildResolutionProposals(calendarId, newMeeting, conflictingMeetings, {
+        meetingId: newMeeting._id
+      });
     }
 
     res.status(201).json(response);
@@ -1030,34 +597,215 @@ app.post('/api/meetings', async (req, res) => {
   }
 });
 
+// Apply a conflict resolution proposal returned by POST /api/meetings
+app.post('/api/meetings/resolve', async (req, res) => {
+  try {
+    const { proposal } = req.body;
+
+    if (!proposal) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['proposal']
+      });
+    }
+
+    await connectToDatabase();
+
+    const result = await applyResolutionProposal(getRequestCalendarId(req), proposal, { source: 'rest' });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, conflicts: result.conflicts });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `✅ Applied: ${proposal.reason || proposal.type}`,
+      data: result.meeting,
+      movedMeeting: result.movedMeeting
+    });
+  } catch (error) {
+    console.error('Error applying resolution:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Rank clashing meetings and recommend which to keep, move or decline
+app.post('/api/meetings/prioritize', async (req, res) => {
+  try {
+    const { meetingIds, startDate, endDate } = req.body;
+
+    if (!meetingIds && !(startDate && endDate)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['meetingIds (or startDate and endDate)']
+      });
+    }
+
+    await connectToDatabase();
+
+    const result = await prioritizeMeetings(getRequestCalendarId(req), {
+      meetingIds,
+      startDate,
+      endDate,
+      timeZone: getRequestTimeZone(req) || undefined
+    }, { source: 'rest' });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Recommended: ${result.summary}`,
+      conflictId: result.conflictId,
+      data: result.recommendations
+    });
+  } catch (error) {
+    console.error('Error prioritizing meetings:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Create, update, shift or cancel many meetings at once (see lib/bulk.js)
+app.post('/api/meetings/bulk', async (req, res) => {
+  try {
+    const { action, ids, filter, meetings, changes, offsetMinutes, scope, dryRun } = req.body;
+
+    if (!action) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['action']
+      });
+    }
+
+    await connectToDatabase();
+
+    const timeZone = getRequestTimeZone(req) || DEFAULT_TIME_ZONE;
+    const calendarId = filter?.calendarId || getRequestCalendarId(req);
+    const result = await runBulkOperation(calendarId, {
+      action, ids, filter, meetings, changes, offsetMinutes, scope, dryRun
+    }, { source: 'rest', timeZone });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const failed = result.items.filter(item => item.status === 'failed').length;
+    const done = result.dryRun ? 'would be changed' : 'changed';
+    res.status(200).json({
+      success: failed === 0,
+      message: `${result.dryRun ? 'Dry run: ' : ''}${result.matched - failed} meeting(s) ${done}` +
+        (failed > 0 ? `, ${failed} failed` : '') +
+        (result.conflictCount > 0 ? `; ⚠️ ${result.conflictCount} with conflicts` : ''),
+      ...result
+    });
+  } catch (error) {
+    console.error('Error running bulk operation:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Import an .ics file (raw text/calendar body, or JSON { "ics": "..." })
+app.post('/api/meetings/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+
+    if (!ics) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['ics (or a text/calendar body)']
+      });
+    }
+
+    await connectToDatabase();
+
+    // Times without a zone are read in the file's X-WR-TIMEZONE, then X-Time-Zone
+    const result = await importMeetings(getRequestCalendarId(req), ics, { timeZone: getRequestTimeZone(req) || undefined });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.conflicts.length > 0
+        ? `⚠️ Imported ${result.created.length + result.updated.length} event(s); ${result.conflicts.length} conflict with existing meetings`
+        : `✅ Imported ${result.created.length + result.updated.length} event(s)`,
+      created: result.created,
+      updated: result.updated,
+      skipped: result.skipped,
+      conflicts: result.conflicts,
+      // Undo the whole import with POST /api/meetings/undo
+      changeId: result.changeId
+    });
+  } catch (error) {
+    console.error('Error importing meetings:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Export meetings as an iCalendar file
+app.get('/api/meetings/export.ics', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const calendarId = getRequestCalendarId(req);
+    const result = await exportMeetings(calendarId, { ...req.query, timeZone: getRequestTimeZone(req) || undefined });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${calendarId.replace(/[^\w.-]/g, '_')}.ics"`);
+    res.status(200).send(result.ics);
+  } catch (error) {
+    console.error('Error exporting meetings:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
 // 3. Get all meetings
 app.get('/api/meetings', async (req, res) => {
   try {
     await connectToDatabase();
     
-    const { startDate, endDate, limit = 50 } = req.query;
-    
-    let query = {};
-
-    // Date range filter
-    if (startDate || endDate) {
-      query.startTime = {};
-      if (startDate) {
-        query.startTime.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.startTime.$lte = new Date(endDate);
-      }
+    const timeZone = getRequestTimeZone(req);
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
     }
 
-    const meetings = await Meeting.find(query)
-      .sort({ startTime: 1 })
-      .limit(parseInt(limit));
+    const calendarIds = getRequestCalendarIds(req);
+
+    // Recurring meetings are expanded into occurrences when a date range is given;
+    // with a time zone, dates are read in it and each meeting gets localStartTime/localEndTime
+    const result = await listMeetings(calendarIds.length > 1 ? calendarIds : calendarIds[0], { ...req.query, timeZone });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
     res.status(200).json({
       success: true,
-      count: meetings.length,
-      data: meetings
+      count: result.meetings.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      timeZone: timeZone || undefined,
+      data: result.meetings.map(m => withLocalTimes(m, timeZone))
     });
   } catch (error) {
     console.error('Error fetching meetings:', error.message);
@@ -1073,15 +821,25 @@ app.get('/api/meetings/:id', async (req, res) => {
   try {
     await connectToDatabase();
     
-    const meeting = await Meeting.findById(req.params.id);
+    const timeZone = getRequestTimeZone(req);
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
+    // Accepts meeting IDs and occurrence IDs of recurring meetings
+    const target = await resolveMeeting(req.params.id, getRequestCalendarId(req));
     
-    if (!meeting) {
+    if (!target) {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
+    const meeting = target.occurrence ? buildOccurrence(target.meeting, target.occurrence) : target.meeting;
+
     res.status(200).json({
       success: true,
-      data: meeting
+      data: withLocalTimes(meeting, timeZone),
+      // Meetings it currently clashes with (for an occurrence: those of its whole series)
+      conflictsWith: await listConflictLinks(target.meeting._id)
     });
   } catch (error) {
     console.error('Error fetching meeting:', error.message);
@@ -1097,44 +855,157 @@ app.put('/api/meetings/:id', async (req, res) => {
   try {
     await connectToDatabase();
     
-    const { title, description, startTime, endTime } = req.body;
+    // For recurring meetings, scope is "occurrence", "following" or "series"
+    const scope = req.body.scope || req.query.scope;
+    const timeZone = getRequestTimeZone(req);
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
+    // Times without an offset are read in the body's timeZone, the meeting's own zone, then X-Time-Zone
+    const result = await updateMeeting(getRequestCalendarId(req), req.params.id, req.body, scope, { source: 'rest', timeZone });
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const response = {
+      success: true,
+      message: 'Meeting updated successfully',
+      data: result.meeting
+    };
+    if (result.conflicts.length > 0) {
+      response.conflictSeverity = result.meeting.conflictSeverity;
+      response.conflicts = result.conflicts.map(describeConflict);
+    }
+
+    const softConflicts = await checkSchedulingRules(getRequestCalendarId(req), result.meeting, { excludeMeetingId: result.meeting._id });
+    if (softConflicts.length > 0) {
+      response.softConflicts = softConflicts;
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error updating meeting:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// 6. Delete a meeting
+app.delete('/api/meetings/:id', async (req, res) => {
+  try {
+    await connectToDatabase();
     
-    const meeting = await Meeting.findById(req.params.id);
+    // For recurring meetings, ?scope=occurrence|following|series
+    const result = await deleteMeeting(getRequestCalendarId(req), req.params.id, req.query.scope, { source: 'rest' });
     
-    if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Update fields
-    if (title) meeting.title = title;
-    if (description !== undefined) meeting.description = description;
+    res.status(200).json({
+      success: true,
+      message: 'Meeting deleted successfully',
+      data: result.meeting
+    });
+  } catch (error) {
+    console.error('Error deleting meeting:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
 
-    // If time is being updated, check for conflicts
-    if (startTime || endTime) {
-      const newStart = startTime ? new Date(startTime) : meeting.startTime;
-      const newEnd = endTime ? new Date(endTime) : meeting.endTime;
+// Change history of a meeting (deleted meetings included), newest first
+app.get('/api/meetings/:id/history', async (req, res) => {
+  try {
+    await connectToDatabase();
 
-      if (newEnd <= newStart) {
-        return res.status(400).json({ error: 'endTime must be after startTime' });
-      }
+    const result = await getMeetingHistory(getRequestCalendarId(req), req.params.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      meetingId: result.meeting._id,
+      title: result.meeting.title,
+      deleted: !!result.meeting.deletedAt,
+      count: result.history.length,
+      data: result.history
+    });
+  } catch (error) {
+    console.error('Error fetching meeting history:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Undo the calendar's last change, or the last change of one meeting (meetingId) or agent session (sessionId)
+app.post('/api/meetings/undo', async (req, res) => {
+  try {
+    const { meetingId, sessionId } = req.body || {};
 
-      const conflictingMeetings = await checkTimeConflict(newStart, newEnd, meeting._id);
-      const hasConflict = conflictingMeetings.length > 0;
+    await connectToDatabase();
+
+    const result = await undoLastChange(getRequestCalendarId(req), { meetingId, sessionId }, { source: 'rest' });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `↩️ Undid: ${result.change.description}`,
+      undone: result.change,
+      data: result.meetings
+    });
+  } catch (error) {
+    console.error('Error undoing change:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
 
-      meeting.startTime = newStart;
-      meeting.endTime = newEnd;
-      meeting.hasConflict = hasConflict;
+// 7. Find free time slots
+app.get('/api/availability', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const { duration } = req.query;
+
+    if (!duration) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['duration']
+      });
     }
 
-    await meeting.save();
+    // Working hours are local to ?timeZone (or X-Time-Zone)
+    const result = await findAvailableSlots(getRequestCalendarId(req), { ...req.query, timeZone: getRequestTimeZone(req) || undefined });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Meeting updated successfully',
-      data: meeting
+      count: result.slots.length,
+      data: result.slots,
+      searched: result.searched,
+      totalCandidates: result.totalCandidates
     });
   } catch (error) {
-    console.error('Error updating meeting:', error.message);
+    console.error('Error finding availability:', error.message);
     res.status(500).json({ 
       error: 'Internal Server Error',
       message: error.message 
@@ -1142,24 +1013,210 @@ app.put('/api/meetings/:id', async (req, res) => {
   }
 });
 
-// 6. Delete a meeting
-app.delete('/api/meetings/:id', async (req, res) => {
+// 8. List recorded conflicts (audit trail of scheduling clashes)
+app.get('/api/conflicts', async (req, res) => {
   try {
     await connectToDatabase();
-    
-    const meeting = await Meeting.findByIdAndDelete(req.params.id);
-    
-    if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
+
+    // Filters: ?type=calendar_conflict&intent=SCHEDULE_CONFLICT&outcome=pending&severity=full&meetingId=...&startDate=...&endDate=...&limit=50
+    const timeZone = getRequestTimeZone(req);
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
+    const result = await listConflicts(getRequestCalendarId(req), { ...req.query, timeZone: timeZone || undefined });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
     res.status(200).json({
       success: true,
-      message: 'Meeting deleted successfully',
-      data: meeting
+      count: result.conflicts.length,
+      data: result.conflicts
     });
   } catch (error) {
-    console.error('Error deleting meeting:', error.message);
+    console.error('Error fetching conflicts:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// 9. Get a single conflict record by ID
+app.get('/api/conflicts/:id', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const conflict = await getConflict(getRequestCalendarId(req), req.params.id);
+
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: conflict
+    });
+  } catch (error) {
+    console.error('Error fetching conflict:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Rebuild hasConflict flags and conflict links of every meeting in the calendar (e.g. after upgrading)
+app.post('/api/conflicts/recompute', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const result = await recomputeConflictLinks(getRequestCalendarId(req));
+
+    res.status(200).json({
+      success: true,
+      message: `Checked ${result.meetings} meeting(s): ${result.conflicts} clashing pair(s), ${result.updated} meeting(s) updated`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error recomputing conflicts:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Scheduling rules of a calendar: buffers, travel time, working hours and focus time
+app.get('/api/calendars/:id/scheduling-rules', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const rules = await getSchedulingRules(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching scheduling rules:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Create or change scheduling rules; fields left out keep their value
+app.put('/api/calendars/:id/scheduling-rules', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const result = await updateSchedulingRules(req.params.id, req.body);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduling rules updated successfully',
+      data: result.rules
+    });
+  } catch (error) {
+    console.error('Error updating scheduling rules:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// Feed management calls prove ownership with the current feed token (X-Feed-Token header or token)
+// or the server's FEED_ADMIN_KEY (X-Admin-Key header)
+const getFeedCredentials = (req) => ({
+  token: req.get('x-feed-token') || req.body?.token || req.query?.token,
+  adminKey: req.get('x-admin-key')
+});
+
+// 10. Create (or rotate) a calendar's subscription feed URL; the previous URL stops working
+app.post('/api/calendars/:id/feed-token', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const result = await createFeedToken(req.params.id, getFeedCredentials(req));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { token } = result;
+    const host = req.get('host');
+    const path = `/api/calendars/${encodeURIComponent(req.params.id)}/feed.ics?token=${token}`;
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+
+    res.status(201).json({
+      success: true,
+      message: '✅ Feed URL created; any earlier feed URL for this calendar no longer works',
+      token,
+      url: `${protocol}://${host}${path}`,
+      webcalUrl: `webcal://${host}${path}`
+    });
+  } catch (error) {
+    console.error('Error creating feed token:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// 11. Disable a calendar's subscription feed
+app.delete('/api/calendars/:id/feed-token', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    const result = await revokeFeedToken(req.params.id, getFeedCredentials(req));
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Feed disabled'
+    });
+  } catch (error) {
+    console.error('Error revoking feed token:', error.message);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+// 12. Subscription feed, generated live from the calendar's meetings
+app.get('/api/calendars/:id/feed.ics', async (req, res) => {
+  try {
+    await connectToDatabase();
+
+    if (!(await verifyFeedToken(req.params.id, req.query.token))) {
+      return res.status(401).json({ error: 'Invalid or missing feed token' });
+    }
+
+    const feed = await buildFeed(req.params.id);
+
+    // Subscribers send If-None-Match and get 304 Not Modified while nothing changed
+    res.set('ETag', feed.etag);
+    res.set('Cache-Control', 'private, no-cache');
+    if (matchesETag(req.get('if-none-match'), feed.etag)) {
+      return res.status(304).end();
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.status(200).send(feed.ics);
+  } catch (error) {
+    console.error('Error building calendar feed:', error.message);
     res.status(500).json({ 
       error: 'Internal Server Error',
       message: error.message 
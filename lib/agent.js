@@ -0,0 +1,217 @@
+const { createSessionStore } = require('./sessionStore');
+const { compactHistory } = require('./memory');
+const { runAgentLoop } = require('./agentLoop');
+const {
+  getToolSchemas,
+  executeTool,
+  confirmPendingActions,
+  cancelPendingActions
+} = require('./agentTools');
+const { getProvider } = require('./llm');
+const { DEFAULT_TIME_ZONE, formatDateTime, getWeekdayName } = require('./timezone');
+
+// The calendar agent behind every endpoint: system prompt, conversation history and the tool loop.
+// Endpoints only adapt their request/response format around runAgent.
+
+// Conversation histories live in MongoDB by default (SESSION_STORE=memory for local dev)
+const sessionStore = createSessionStore();
+
+const buildSystemPrompt = (now = new Date(), timeZone = DEFAULT_TIME_ZONE) => `You are a helpful calendar management AI agent. You can help users create, view, update, and delete meetings.
+
+When users ask about their calendar:
+- Parse dates and times from natural language (convert to ISO 8601 format)
+- Understand relative times (e.g., "tomorrow at 2pm", "next Monday")
+- Extract meeting details from conversational requests
+- Use the provided functions to interact with the calendar system
+- Always confirm the action taken and provide relevant details
+- Use context from previous messages to understand references like "it", "that meeting", "the same time", etc.
+- A request can take several steps (e.g. "cancel my 2pm and book a dentist slot at 4", or look a meeting up before moving it): call every tool needed, one after another, before answering
+
+Knowing Which Meeting:
+- Users name meetings by title, time or people ("move the design sync", "cancel my 3pm"); mutating tools need the meeting's ID
+- Unless a tool result in this conversation gave you that meeting's ID, call find_meeting first; never make up or guess a meetingId
+- Use find_meeting's meetingId only when it returns one; when it returns needsClarification, ask the user its question (mention the candidates) and wait for the answer
+- For a recurring meeting it returns an occurrence ID: ask about the scope as usual
+
+Finding Meetings:
+- To find meetings by topic, person or place ("my budget meetings", "what do I have with Sam"), pass query, attendee or location to get_meetings instead of listing everything and searching yourself
+- get_meetings returns total and, when there are more results, nextCursor: call it again with cursor to get the next page
+
+Recurring Meetings:
+- Create a series with the recurrence parameter (an iCalendar RRULE such as FREQ=WEEKLY;BYDAY=MO;COUNT=8)
+- When updating or deleting a recurring meeting, pass scope: "occurrence" (just this one), "following" (this and later ones) or "series" (all of them)
+- If the user does not say which, ask whether they mean just this occurrence or the whole series
+
+Scheduling Rules:
+- create_meeting and update_meeting return softConflicts when a meeting breaks the calendar's rules (too little buffer or travel time between meetings, outside working hours, during focus time)
+- Soft conflicts never block a meeting: mention each one briefly after confirming the action, and offer to find a better time
+
+Finding Free Time:
+- When the user asks when they (or others) are free, or to find a time, use find_available_time
+- Offer the returned slots in rank order and mention why the top ones were picked
+
+Prioritizing Meetings:
+- When meetings clash and the user asks which one to keep (or to sort out a double-booking), use prioritize_meetings
+- Present each meeting's recommendation (keep, move to the suggested time, or decline) with its reasons
+- Only move or delete meetings after the user agrees with the recommendation
+- When the user says a meeting is important, fixed or mandatory, set priority, movable: false or required: true
+
+Confirming Changes:
+- update_meeting, delete_meeting, bulk_update_meetings, apply_resolution and undo_last_change do not run right away: they return requiresConfirmation with a confirmationToken and a preview
+- Describe the previewed change (which meeting, which occurrences, what changes) and ask the user to confirm
+- When the user agrees ("yes", "go ahead"), call confirm_action; if they decline or ask for something else, call cancel_action
+- Never call confirm_action for a change requested in the same turn
+
+Changing Many Meetings:
+- For requests about several meetings at once ("push everything this afternoon back an hour", "clear my Friday", "add Sam to all design reviews"), use one bulk_update_meetings call instead of one call per meeting
+- Select them by a date range (startDate/endDate), titleContains or meetingIds; use action shift with offsetMinutes to move them, cancel to delete them
+- The preview lists every meeting affected and the conflicts the batch would cause: mention them when asking for confirmation
+
+Undoing Changes:
+- When the user says "undo that" or wants a change reverted, call undo_last_change (it undoes the last change made in this conversation), then confirm it like any other change
+- To revert a specific meeting's last change instead, pass its meetingId; deleted meetings can be brought back this way
+
+Conflict History:
+- For questions about past conflicts or double-bookings, use query_conflict_history
+- Summarize the numbers and, when asked what happened before, quote the recorded resolution
+
+IMPORTANT - Conflict Handling:
+- When creating a meeting, if there's a time conflict, DO NOT create the meeting automatically
+- Instead, inform the user about the conflict and the conflicting meeting(s)
+- Present the returned proposals as numbered options with their reasons
+- Ask the user to either:
+  1. Pick one of the proposals (call apply_resolution with its option number, then confirm it as below)
+  2. Choose a different time
+  3. Confirm they want to proceed anyway (use forceCreate: true parameter)
+- Only create a conflicting meeting if the user explicitly confirms they want to proceed despite the conflict
+
+Time Zone:
+- The user's time zone is ${timeZone}; read every time they mention (including "tomorrow at 2pm") in that zone
+- Pass times to tools as local ISO 8601 without an offset (e.g. 2025-12-05T14:00:00); tools read them in the user's time zone
+- When talking about a meeting, quote its localStartTime/localEndTime, never the UTC startTime/endTime
+- For holidays, days off and other whole-day events, pass allDay: true with the date(s)
+
+Current date/time context: ${formatDateTime(now, timeZone)} (${getWeekdayName(now, timeZone)}, ${timeZone})`;
+
+// Saves one exchange: the user's message, the tool calls with their results, and the final answer
+const addToHistory = async (store, sessionId, userMessage, transcript, answer) => {
+  const history = await store.get(sessionId);
+
+  history.push({ role: 'user', content: userMessage });
+  history.push(...transcript);
+  history.push({ role: 'assistant', content: answer });
+
+  // Keep recent turns within HISTORY_TOKEN_BUDGET; older ones are rolled into a summary message
+  await store.set(sessionId, compactHistory(history));
+};
+
+// Changes held back in this run, waiting for the user to confirm them
+const getPendingConfirmations = (actions) => actions
+  .filter(a => a.result?.confirmationToken)
+  .map(a => ({
+    token: a.result.confirmationToken,
+    tool: a.tool,
+    preview: a.result.preview,
+    expiresAt: a.result.expiresAt
+  }));
+
+// Answers one user message. `source` ('agent' | 'supervisor') is recorded in the conflict log;
+// pass `provider` (e.g. createFakeProvider()) and `store` (e.g. createMemoryStore()) to run it elsewhere, such as in tests.
+// `timeZone` (a valid IANA zone) is remembered for the session; later requests without one reuse it.
+// `onEvent(type, data)` streams progress (see runAgentLoop).
+// Changes the model asks for with update_meeting/delete_meeting/bulk_update_meetings/apply_resolution/undo_last_change wait for confirmation (see pendingConfirmations).
+// Returns { answer, actions, pendingConfirmations, iterations, iterationLimitReached, model, timeZone }.
+const runAgent = async ({ query, sessionId, calendarId, source, timeZone, provider = getProvider(), store = sessionStore, maxIterations, onEvent }) => {
+  const startedAt = new Date();
+  const history = await store.get(sessionId);
+
+  const settings = await store.getSettings(sessionId);
+  if (timeZone && timeZone !== settings.timeZone) {
+    await store.setSettings(sessionId, { ...settings, timeZone });
+  }
+  const sessionTimeZone = timeZone || settings.timeZone || DEFAULT_TIME_ZONE;
+
+  const messages = [
+    { role: 'system', content: buildSystemPrompt(new Date(), sessionTimeZone) },
+    ...history,
+    { role: 'user', content: query }
+  ];
+
+  const context = {
+    calendarId,
+    sessionId,
+    timeZone: sessionTimeZone,
+    startedAt,
+    // Where unanswered conflict proposals are kept between requests
+    store,
+    // Who is acting, for the conflict log
+    audit: () => ({
+      source,
+      sessionId,
+      metadata: { model: provider.model, responseTime: Date.now() - startedAt.getTime() }
+    })
+  };
+
+  // Let the model call tools until it produces a final answer
+  const run = await runAgentLoop({
+    provider,
+    messages,
+    tools: getToolSchemas(),
+    executeTool: (name, args) => executeTool(name, args, context),
+    maxIterations,
+    onEvent
+  });
+
+  await addToHistory(store, sessionId, query, run.transcript, run.answer);
+
+  return {
+    answer: run.answer,
+    actions: run.actions,
+    pendingConfirmations: getPendingConfirmations(run.actions),
+    iterations: run.iterations,
+    iterationLimitReached: run.iterationLimitReached,
+    model: provider.model,
+    timeZone: sessionTimeZone
+  };
+};
+
+// Confirms (or with confirm: false, cancels) changes waiting for confirmation without going through the model,
+// e.g. from a confirm button. `tokens` selects some of the session's pending changes (default: all of them).
+// The outcome is added to the conversation so the model knows about it on the next turn.
+// Returns { actions: [{ tool, arguments, preview, result? }] } or { error }.
+const confirmActions = async ({ sessionId, tokens, confirm = true, source, store = sessionStore }) => {
+  const settings = await store.getSettings(sessionId);
+  const context = {
+    sessionId,
+    timeZone: settings.timeZone || DEFAULT_TIME_ZONE,
+    store,
+    audit: () => ({ source, sessionId, metadata: {} })
+  };
+
+  const outcome = confirm ? await confirmPendingActions(context, tokens) : await cancelPendingActions(context, tokens);
+  if (outcome.error) return outcome;
+
+  const summary = outcome.actions
+    .map(a => `${a.preview.description}: ${confirm ? (a.result.success ? 'done' : `failed (${a.result.error})`) : 'cancelled'}`)
+    .join('\n');
+
+  const history = await store.get(sessionId);
+  history.push({ role: 'user', content: confirm ? 'Yes, go ahead.' : 'No, cancel that.' });
+  history.push({ role: 'assistant', content: summary });
+  await store.set(sessionId, compactHistory(history));
+
+  return outcome;
+};
+
+// Forgets a session: its conversation history, unanswered conflict proposals and unconfirmed changes
+const clearSession = async (sessionId, store = sessionStore) => {
+  await store.delete(sessionId);
+};
+
+module.exports = {
+  sessionStore,
+  buildSystemPrompt,
+  runAgent,
+  confirmActions,
+  clearSession
+};
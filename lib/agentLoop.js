@@ -0,0 +1,97 @@
+const DEFAULT_MAX_ITERATIONS = 5;
+
+const getMaxIterations = () => Number(process.env.AGENT_MAX_ITERATIONS) || DEFAULT_MAX_ITERATIONS;
+
+const parseArguments = (toolCall) => {
+  try {
+    return JSON.parse(toolCall.function.arguments || '{}');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Calls the model (see lib/llm.js), runs every tool call it asks for (in order) and feeds the results back,
+// until it answers without tools or `maxIterations` model calls were spent on tools.
+// With `onEvent`, the model is streamed and progress is reported as it happens:
+//   thinking { iteration }, tool_call_started { id, tool, arguments },
+//   tool_call_finished { id, tool, result }, token { text } (answer text only)
+// Returns { answer, transcript, actions, iterations, iterationLimitReached } where `transcript`
+// holds the assistant/tool messages produced and `actions` each tool call with its result.
+const runAgentLoop = async ({ provider, messages, tools, executeTool, maxIterations = getMaxIterations(), onEvent = null }) => {
+  const transcript = [];
+  const actions = [];
+
+  // Tokens are held back until the reply turns out to be the answer: text written alongside tool calls is not.
+  // Without tools (the summary after the iteration limit) they go out as they arrive.
+  const callModel = async (request) => {
+    if (!onEvent) return provider.complete(request);
+    if (!request.tools) {
+      return provider.stream({ ...request, onToken: (text) => onEvent('token', { text }) });
+    }
+
+    const tokens = [];
+    const message = await provider.stream({ ...request, onToken: (text) => tokens.push(text) });
+    if (!message.tool_calls || message.tool_calls.length === 0) {
+      tokens.forEach(text => onEvent('token', { text }));
+    }
+    return message;
+  };
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    if (onEvent) onEvent('thinking', { iteration });
+
+    const assistantMessage = await callModel({
+      messages: [...messages, ...transcript],
+      tools
+    });
+
+    if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
+      return { answer: assistantMessage.content, transcript, actions, iterations: iteration, iterationLimitReached: false };
+    }
+
+    transcript.push({
+      role: 'assistant',
+      content: assistantMessage.content || null,
+      tool_calls: assistantMessage.tool_calls
+    });
+
+    for (const toolCall of assistantMessage.tool_calls) {
+      const name = toolCall.function.name;
+      const args = parseArguments(toolCall);
+      if (onEvent) onEvent('tool_call_started', { id: toolCall.id, tool: name, arguments: args });
+
+      const result = args
+        ? await executeTool(name, args)
+        : { success: false, error: 'Tool arguments were not valid JSON' };
+
+      if (onEvent) onEvent('tool_call_finished', { id: toolCall.id, tool: name, result });
+      actions.push({ tool: name, arguments: args, result });
+      transcript.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        content: JSON.stringify(result)
+      });
+    }
+  }
+
+  // Out of iterations: ask for an answer based on what was done so far, without further tool calls
+  const finalMessage = await callModel({
+    messages: [
+      ...messages,
+      ...transcript,
+      { role: 'system', content: 'Tool call limit reached. Summarize what was done and what is still left for the user.' }
+    ]
+  });
+
+  return {
+    answer: finalMessage.content,
+    transcript,
+    actions,
+    iterations: maxIterations,
+    iterationLimitReached: true
+  };
+};
+
+module.exports = {
+  runAgentLoop
+};
@@ -0,0 +1,1106 @@
+const Meeting = require('../models/Meeting');
+const {
+  normalizeAttendees,
+  SORT_FIELDS,
+  validateImportance,
+  listMeetings,
+  highestSeverity,
+  isRecurring,
+  buildOccurrence,
+  checkTimeConflict,
+  resolveMeeting
+} = require('./meetings');
+const { updateMeeting, deleteMeeting } = require('./series');
+const { normalizeRecurrence } = require('./recurrence');
+const { findAvailableSlots } = require('./availability');
+const { buildResolutionProposals, applyResolutionProposal } = require('./resolution');
+const { recordConflict, resolveConflict, summarizeConflictHistory } = require('./conflicts');
+const { prioritizeMeetings } = require('./prioritization');
+const { syncConflictLinks } = require('./conflictLinks');
+const { checkSchedulingRules } = require('./schedulingRules');
+const { getChangeSet, previewUndo, undoLastChange } = require('./history');
+const { runBulkOperation } = require('./bulk');
+const { findMeetingReferences } = require('./references');
+const { createPendingAction, listPendingActions, takePendingActions } = require('./pendingActions');
+const { isValidTimeZone, parseDateTime, formatDateTime, getAllDayBounds } = require('./timezone');
+
+// Tool registry shared by every agent endpoint. Each tool is { name, description, parameters, execute },
+// where execute(args, context) gets context = { calendarId, sessionId, timeZone, startedAt, audit, store } and returns a plain result:
+// { success: true, message?, ...data } or { success: false, error }.
+// A tool with preview(args, context) changes data the user may not have meant to touch: it only runs
+// once the user confirms (see executeTool); until then the call returns a confirmation token and the preview.
+
+// The latest conflict of a session ({ conflictId, proposals }) is kept in the session store (context.store),
+// so "take option 2" works whichever instance handles the next request
+
+// Starts tracking a new pending conflict for a session; an unanswered earlier one is recorded as ignored
+const trackPendingResolution = async ({ store, sessionId }, conflictId, proposals) => {
+  const previous = await store.getPendingResolution(sessionId);
+  if (previous) {
+    await resolveConflict(previous.conflictId, 'ignored', 'Superseded by a later scheduling request');
+  }
+  await store.setPendingResolution(sessionId, { conflictId, proposals });
+};
+
+// A meeting created despite conflicts closes the session's pending conflict as forced (or logs a new one)
+const recordForcedConflict = async ({ store, sessionId }, meeting, conflicts, context) => {
+  const pending = await store.getPendingResolution(sessionId);
+  if (pending) {
+    await store.setPendingResolution(sessionId, null);
+    return resolveConflict(pending.conflictId, 'forced', undefined, [meeting._id]);
+  }
+  return recordConflict({ calendarId: meeting.calendarId, meeting, conflicts, outcome: 'forced', ...context });
+};
+
+// The fields of a meeting (or occurrence) the model needs to talk about it, with times rendered in the user's zone
+const summarizeMeeting = (meeting, timeZone) => ({
+  id: meeting._id,
+  title: meeting.title,
+  description: meeting.description,
+  startTime: meeting.startTime,
+  endTime: meeting.endTime,
+  localStartTime: formatDateTime(meeting.startTime, timeZone),
+  localEndTime: formatDateTime(meeting.endTime, timeZone),
+  timeZone: meeting.timeZone,
+  allDay: meeting.allDay || undefined,
+  organizer: meeting.organizer,
+  attendees: meeting.attendees,
+  location: meeting.location,
+  priority: meeting.priority,
+  movable: meeting.movable,
+  required: meeting.required,
+  seriesId: meeting.seriesId,
+  recurrence: meeting.recurrence?.rrule,
+  hasConflict: meeting.hasConflict,
+  conflictSeverity: meeting.conflictSeverity,
+  // Set on meetings returned as conflicts: how they overlap the meeting being scheduled
+  overlap: meeting.overlap && {
+    ...meeting.overlap,
+    localStart: formatDateTime(meeting.overlap.start, timeZone),
+    localEnd: formatDateTime(meeting.overlap.end, timeZone)
+  }
+});
+
+const createMeetingTool = {
+  name: "create_meeting",
+  description: "Create a new meeting in the calendar. Automatically checks for conflicts with existing meetings.",
+  parameters: {
+    type: "object",
+    properties: {
+      title: {
+        type: "string",
+        description: "The title/name of the meeting"
+      },
+      description: {
+        type: "string",
+        description: "Detailed description of the meeting"
+      },
+      startTime: {
+        type: "string",
+        description: "Start time in ISO 8601 format, local to the user's time zone (e.g., 2025-12-05T10:00:00)"
+      },
+      endTime: {
+        type: "string",
+        description: "End time in ISO 8601 format, local to the user's time zone (e.g., 2025-12-05T11:00:00)"
+      },
+      timeZone: {
+        type: "string",
+        description: "IANA time zone of the meeting if it differs from the user's (e.g., Europe/Berlin)"
+      },
+      allDay: {
+        type: "boolean",
+        description: "Set to true for an all-day event; startTime/endTime are then the first and last day (e.g., 2025-12-24)"
+      },
+      organizer: {
+        type: "string",
+        description: "Email or name of the person organizing the meeting"
+      },
+      attendees: {
+        type: "array",
+        items: { type: "string" },
+        description: "Emails or names of the people attending the meeting"
+      },
+      location: {
+        type: "string",
+        description: "Where the meeting takes place (room name, address, or Zoom/Teams)"
+      },
+      priority: {
+        type: "string",
+        enum: ["low", "normal", "high", "critical"],
+        description: "How important the meeting is when it clashes with another (default normal)"
+      },
+      movable: {
+        type: "boolean",
+        description: "Set to false if the meeting cannot be rescheduled (e.g. an external client call)"
+      },
+      required: {
+        type: "boolean",
+        description: "Set to true if the user cannot decline the meeting"
+      },
+      recurrence: {
+        type: "string",
+        description: "iCalendar RRULE for a recurring series, e.g. FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10 or FREQ=DAILY;UNTIL=20251231. startTime/endTime are the first occurrence."
+      },
+      exdates: {
+        type: "array",
+        items: { type: "string" },
+        description: "Occurrence start times (ISO 8601) to skip in a recurring series"
+      },
+      forceCreate: {
+        type: "boolean",
+        description: "Set to true to create meeting even if there's a conflict (only after user confirms)"
+      }
+    },
+    required: ["title", "startTime", "endTime"]
+  },
+  execute: async (args, context) => {
+    const { calendarId, timeZone: userTimeZone, audit } = context;
+    if (args.timeZone && !isValidTimeZone(args.timeZone)) {
+      return { success: false, error: `Invalid time zone: ${args.timeZone}` };
+    }
+    const timeZone = args.timeZone || userTimeZone;
+    let startTime = parseDateTime(args.startTime, timeZone);
+    let endTime = args.allDay && !args.endTime ? null : parseDateTime(args.endTime, timeZone);
+
+    if (isNaN(startTime.getTime()) || (endTime && isNaN(endTime.getTime()))) {
+      return { success: false, error: 'Invalid date format for startTime or endTime' };
+    }
+    if (args.allDay) {
+      ({ startTime, endTime } = getAllDayBounds(startTime, endTime, timeZone));
+    }
+    if (endTime <= startTime) {
+      return { success: false, error: 'endTime must be after startTime' };
+    }
+
+    const importanceError = validateImportance(args);
+    if (importanceError) {
+      return { success: false, error: importanceError };
+    }
+    const importance = { priority: args.priority, movable: args.movable, required: args.required };
+
+    const participants = {
+      organizer: args.organizer,
+      attendees: normalizeAttendees(args.attendees),
+      location: args.location
+    };
+
+    let recurrence;
+    try {
+      recurrence = normalizeRecurrence(args.recurrence, args.exdates);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    // Check for conflicts (every occurrence of a recurring meeting)
+    const conflicts = await checkTimeConflict(startTime, endTime, null, { calendarId, ...participants, recurrence, timeZone });
+    // Buffers, travel time, working hours and focus time: reported, never blocking
+    const softConflicts = await checkSchedulingRules(calendarId, {
+      startTime, endTime, ...participants, recurrence, timeZone, allDay: !!args.allDay
+    });
+
+    // If there's a conflict and the user hasn't confirmed, don't create the meeting
+    if (conflicts.length > 0 && !args.forceCreate) {
+      const proposedMeeting = {
+        title: args.title,
+        description: args.description || '',
+        startTime,
+        endTime,
+        timeZone,
+        allDay: !!args.allDay,
+        ...participants,
+        ...importance,
+        recurrence
+      };
+      const proposals = await buildResolutionProposals(calendarId, proposedMeeting, conflicts);
+      const conflictRecord = await recordConflict({ calendarId, meeting: proposedMeeting, conflicts, ...audit() });
+      await trackPendingResolution(context, conflictRecord._id, proposals);
+
+      return {
+        success: false,
+        hasConflict: true,
+        conflictSeverity: highestSeverity(conflicts),
+        requiresConfirmation: true,
+        message: '⚠️ Time conflict detected! The requested time overlaps with existing meeting(s).',
+        conflicts: conflicts.map(m => summarizeMeeting(m, userTimeZone)),
+        softConflicts,
+        proposedMeeting: summarizeMeeting(proposedMeeting, userTimeZone),
+        conflictId: conflictRecord._id,
+        proposals,
+        suggestion: proposals.length > 0
+          ? 'Pick one of the proposed options, choose a different time, or proceed anyway.'
+          : 'Would you like to schedule at a different time, or proceed anyway?'
+      };
+    }
+
+    // No conflict, or the user confirmed with forceCreate
+    const newMeeting = new Meeting({
+      title: args.title,
+      description: args.description || '',
+      startTime,
+      endTime,
+      timeZone,
+      allDay: !!args.allDay,
+      calendarId,
+      ...participants,
+      ...importance,
+      recurrence: recurrence || undefined,
+      hasConflict: conflicts.length > 0,
+      conflictSeverity: highestSeverity(conflicts)
+    });
+    await getChangeSet(calendarId, audit()).save(newMeeting);
+    await syncConflictLinks(newMeeting, conflicts);
+
+    if (conflicts.length > 0) {
+      await recordForcedConflict(context, newMeeting, conflicts, audit());
+    }
+
+    return {
+      success: true,
+      message: conflicts.length > 0
+        ? '✅ Meeting created (conflict override confirmed)'
+        : softConflicts.length > 0
+          ? '✅ Meeting created, but it breaks some scheduling rules (see softConflicts)'
+          : '✅ Meeting created successfully',
+      meeting: summarizeMeeting(newMeeting, userTimeZone),
+      hasConflict: conflicts.length > 0,
+      conflictSeverity: highestSeverity(conflicts),
+      conflicts: conflicts.map(m => summarizeMeeting(m, userTimeZone)),
+      softConflicts
+    };
+  }
+};
+
+const getMeetingsTool = {
+  name: "get_meetings",
+  description: "Retrieve meetings from the calendar. Can search titles and descriptions and filter by date range, attendee, location or conflicts. When a date range is given, meetings overlapping it are returned and recurring meetings are expanded into occurrences whose IDs look like <seriesId>_<YYYYMMDDTHHMMSSZ>. Returns total (all matches) and nextCursor when there are more pages.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "Words that must all appear in the title or description (e.g. \"budget review\")"
+      },
+      startDate: {
+        type: "string",
+        description: "Meetings ending after this date (ISO 8601, local to the user's time zone)"
+      },
+      endDate: {
+        type: "string",
+        description: "Meetings starting before this date (ISO 8601, local to the user's time zone)"
+      },
+      attendee: {
+        type: "string",
+        description: "Only meetings this person attends or organizes (name or email, partial match)"
+      },
+      location: {
+        type: "string",
+        description: "Only meetings whose location contains this text"
+      },
+      hasConflict: {
+        type: "boolean",
+        description: "true for double-booked meetings only, false for meetings without conflicts"
+      },
+      sort: {
+        type: "string",
+        enum: SORT_FIELDS.flatMap(field => [field, `-${field}`]),
+        description: "Sort order; prefix \"-\" for descending (default startTime)"
+      },
+      cursor: {
+        type: "string",
+        description: "nextCursor of the previous call, to get the next page"
+      },
+      limit: {
+        type: "number",
+        description: "Maximum number of meetings to return (default 50)"
+      }
+    }
+  },
+  execute: async ({ query, ...args }, { calendarId, timeZone }) => {
+    const result = await listMeetings(calendarId, { ...args, q: query, timeZone });
+    if (result.error) return { success: false, error: result.error };
+
+    return {
+      success: true,
+      count: result.meetings.length,
+      total: result.total,
+      nextCursor: result.nextCursor || undefined,
+      meetings: result.meetings.map(m => summarizeMeeting(m, timeZone))
+    };
+  }
+};
+
+const findMeetingTool = {
+  name: "find_meeting",
+  description: "Work out which meeting the user means (\"the design sync\", \"my 3pm\", \"my next meeting with Sam\") and get its ID. Returns candidates with confidence scores; meetingId is only set when one meeting clearly matches, otherwise needsClarification is true and question asks the user which one they meant. For a recurring meeting it returns the occurrence ID of the next (or described) occurrence.",
+  parameters: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "Words from the meeting's title or description (e.g. \"design sync\")"
+      },
+      time: {
+        type: "string",
+        description: "When the meeting starts, as local ISO 8601 (e.g. \"my 3pm\" today: 2025-12-05T15:00:00)"
+      },
+      date: {
+        type: "string",
+        description: "The day of the meeting, as a local date (e.g. 2025-12-05), when no time is given"
+      },
+      attendee: {
+        type: "string",
+        description: "A person in the meeting (name or email, partial match)"
+      },
+      location: {
+        type: "string",
+        description: "Where the meeting takes place (partial match)"
+      },
+      next: {
+        type: "boolean",
+        description: "true for the next upcoming matching meeting (\"my next meeting\")"
+      }
+    }
+  },
+  execute: async (args, { calendarId, timeZone }) => {
+    const result = await findMeetingReferences(calendarId, args, { timeZone });
+
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      meetingId: result.meeting?._id,
+      needsClarification: !result.meeting,
+      question: result.question || undefined,
+      candidates: result.candidates.map(c => ({
+        ...summarizeMeeting(c.meeting, timeZone),
+        confidence: c.confidence,
+        reasons: c.reasons
+      }))
+    };
+  }
+};
+
+const findAvailableTimeTool = {
+  name: "find_available_time",
+  description: "Find free time slots for a meeting of a given length, computed from the stored meetings. Returns ranked, conflict-free candidates. Use this instead of guessing gaps from get_meetings.",
+  parameters: {
+    type: "object",
+    properties: {
+      startDate: {
+        type: "string",
+        description: "Start of the search range (ISO 8601, local to the user's time zone; defaults to now)"
+      },
+      endDate: {
+        type: "string",
+        description: "End of the search range (ISO 8601, local to the user's time zone; defaults to 7 days after startDate)"
+      },
+      duration: {
+        type: "number",
+        description: "Meeting length in minutes"
+      },
+      organizer: {
+        type: "string",
+        description: "The person asking, if known, so their own meetings block time"
+      },
+      attendees: {
+        type: "array",
+        items: { type: "string" },
+        description: "People who must be free; only their meetings block time"
+      },
+      workingHoursStart: {
+        type: "string",
+        description: "Start of the working day as local HH:MM (default 09:00)"
+      },
+      workingHoursEnd: {
+        type: "string",
+        description: "End of the working day as local HH:MM (default 17:00)"
+      },
+      workingDays: {
+        type: "array",
+        items: { type: "string" },
+        description: "Days to search as MO, TU, WE, TH, FR, SA, SU (default Monday to Friday)"
+      },
+      limit: {
+        type: "number",
+        description: "Maximum number of slots to return (default 5)"
+      }
+    },
+    required: ["duration"]
+  },
+  execute: async (args, { calendarId, timeZone }) => {
+    const availability = await findAvailableSlots(calendarId, { ...args, timeZone });
+
+    if (availability.error) {
+      return { success: false, error: availability.error };
+    }
+
+    return {
+      success: true,
+      count: availability.slots.length,
+      slots: availability.slots.map(slot => ({
+        ...slot,
+        localStartTime: formatDateTime(slot.startTime, timeZone),
+        localEndTime: formatDateTime(slot.endTime, timeZone)
+      })),
+      searched: availability.searched
+    };
+  }
+};
+
+const updateMeetingTool = {
+  name: "update_meeting",
+  description: "Update an existing meeting. Can modify title, description, times, organizer, attendees, or location. Nothing changes until the user confirms: the call returns a confirmationToken and a preview of the change.",
+  parameters: {
+    type: "object",
+    properties: {
+      meetingId: {
+        type: "string",
+        description: "The ID of the meeting to update, or an occurrence ID of a recurring meeting, as returned by find_meeting or another tool (never guessed)"
+      },
+      scope: {
+        type: "string",
+        enum: ["occurrence", "following", "series"],
+        description: "For recurring meetings: change only this occurrence, this and following occurrences, or the whole series"
+      },
+      title: {
+        type: "string",
+        description: "New title for the meeting"
+      },
+      description: {
+        type: "string",
+        description: "New description"
+      },
+      startTime: {
+        type: "string",
+        description: "New start time in ISO 8601 format, local to the user's time zone"
+      },
+      endTime: {
+        type: "string",
+        description: "New end time in ISO 8601 format, local to the user's time zone"
+      },
+      timeZone: {
+        type: "string",
+        description: "New IANA time zone for the meeting (e.g., America/New_York)"
+      },
+      allDay: {
+        type: "boolean",
+        description: "Turn the meeting into (true) or out of (false) an all-day event"
+      },
+      organizer: {
+        type: "string",
+        description: "New organizer"
+      },
+      attendees: {
+        type: "array",
+        items: { type: "string" },
+        description: "Full new list of attendees (replaces the existing list)"
+      },
+      location: {
+        type: "string",
+        description: "New location"
+      },
+      priority: {
+        type: "string",
+        enum: ["low", "normal", "high", "critical"],
+        description: "New priority"
+      },
+      movable: {
+        type: "boolean",
+        description: "Whether the meeting may be rescheduled"
+      },
+      required: {
+        type: "boolean",
+        description: "Whether the user must attend"
+      },
+      recurrence: {
+        type: "string",
+        description: "New iCalendar RRULE (e.g. FREQ=WEEKLY;BYDAY=TU)"
+      }
+    },
+    required: ["meetingId"]
+  },
+  preview: async (args, context) => {
+    const target = await describeTarget(args, context);
+    if (target.error) return target;
+
+    const changes = Object.fromEntries(Object.entries(args)
+      .filter(([field, value]) => !['meetingId', 'scope'].includes(field) && value !== undefined));
+    const summary = Object.entries(changes)
+      .map(([field, value]) => `${field} to ${Array.isArray(value) ? value.join(', ') : value}`)
+      .join('; ');
+
+    return {
+      action: 'update',
+      meeting: target.meeting,
+      scope: target.scope,
+      changes,
+      description: `Update ${target.label}: ${summary || 'no changes'}`
+    };
+  },
+  execute: async (args, { calendarId, timeZone, audit }) => {
+    const result = await updateMeeting(calendarId, args.meetingId, args, args.scope, { ...audit(), timeZone });
+
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      message: '✅ Meeting updated successfully',
+      meeting: summarizeMeeting(result.meeting, timeZone),
+      hasConflict: result.conflicts.length > 0,
+      conflictSeverity: highestSeverity(result.conflicts),
+      conflicts: result.conflicts.map(m => summarizeMeeting(m, timeZone)),
+      softConflicts: await checkSchedulingRules(calendarId, result.meeting, { excludeMeetingId: result.meeting._id })
+    };
+  }
+};
+
+// One line per change a proposal makes, e.g. 'Move "1:1" to 2025-12-05T15:00:00+01:00 and create "Review" at ...'
+const describeProposal = (proposal, timeZone) => {
+  const move = proposal.moveMeeting;
+  const place = `${proposal.meetingId ? 'move' : 'create'} "${proposal.meeting?.title}" at ${formatDateTime(proposal.startTime, timeZone)}`;
+  return move
+    ? `Move "${move.title}" to ${formatDateTime(move.newStartTime, timeZone)} and ${place}`
+    : place.charAt(0).toUpperCase() + place.slice(1);
+};
+
+const applyResolutionTool = {
+  name: "apply_resolution",
+  description: "Apply one of the conflict resolution proposals returned by create_meeting in one step (e.g. when the user says \"take option 2\"). Nothing changes until the user confirms: the call returns a confirmationToken and a preview of the change.",
+  parameters: {
+    type: "object",
+    properties: {
+      option: {
+        type: "number",
+        description: "The option number of the proposal the user picked"
+      }
+    },
+    required: ["option"]
+  },
+  // The proposal the user saw is stored with the confirmation, so a later conflict cannot swap it
+  preview: async (args, { store, sessionId, timeZone }) => {
+    const pending = await store.getPendingResolution(sessionId);
+    const proposal = pending?.proposals.find(p => p.option === Number(args.option));
+    if (!proposal) return { error: 'No pending proposal with that option number' };
+
+    return {
+      action: 'resolve',
+      option: proposal.option,
+      reason: proposal.reason,
+      movedMeeting: proposal.moveMeeting,
+      description: describeProposal(proposal, timeZone),
+      confirmArgs: { option: proposal.option, conflictId: pending.conflictId, proposal }
+    };
+  },
+  execute: async (args, { calendarId, store, sessionId, timeZone, audit }) => {
+    const { proposal, conflictId } = args;
+    if (!proposal) {
+      return { success: false, error: 'No pending proposal with that option number' };
+    }
+
+    const resolution = await applyResolutionProposal(calendarId, proposal, { ...audit(), timeZone });
+
+    if (resolution.error) {
+      return { success: false, error: resolution.error };
+    }
+
+    await resolveConflict(conflictId, 'rescheduled',
+      `Applied option ${proposal.option}: ${proposal.reason}`, [resolution.meeting._id]);
+    const pending = await store.getPendingResolution(sessionId);
+    if (pending && String(pending.conflictId) === String(conflictId)) {
+      await store.setPendingResolution(sessionId, null);
+    }
+
+    return {
+      success: true,
+      message: `✅ Applied option ${proposal.option}: ${proposal.reason}`,
+      meeting: summarizeMeeting(resolution.meeting, timeZone),
+      movedMeeting: resolution.movedMeeting ? summarizeMeeting(resolution.movedMeeting, timeZone) : undefined
+    };
+  }
+};
+
+const SCOPE_DESCRIPTIONS = {
+  occurrence: 'this occurrence only',
+  following: 'this and all following occurrences',
+  series: 'every occurrence of the series'
+};
+
+// A meetingId that names no meeting may be a description the model passed instead (e.g. "design sync"):
+// offer the meetings it could mean so the user can pick one, rather than acting on a guess
+const meetingNotFound = async (meetingId, { calendarId, timeZone }) => {
+  const references = await findMeetingReferences(calendarId, { text: meetingId }, { timeZone });
+  if (references.error || references.candidates.length === 0) {
+    return { error: 'Meeting not found; use find_meeting to look up the meeting the user means' };
+  }
+
+  return {
+    error: `"${meetingId}" is not a meeting ID`,
+    needsClarification: true,
+    question: references.question ||
+      `Do you mean "${references.meeting.title}" at ${formatDateTime(references.meeting.startTime, timeZone)}?`,
+    candidates: references.candidates.map(c => ({ id: c.meeting._id, title: c.meeting.title, confidence: c.confidence }))
+  };
+};
+
+// The meeting (or occurrence) a destructive tool call targets, as the user would recognize it
+const describeTarget = async (args, context) => {
+  const { calendarId, timeZone } = context;
+  const target = await resolveMeeting(args.meetingId, calendarId);
+  if (!target) return meetingNotFound(args.meetingId, context);
+
+  const meeting = target.occurrence ? buildOccurrence(target.meeting, target.occurrence) : target.meeting;
+  const scope = isRecurring(target.meeting) || meeting.seriesId
+    ? args.scope || (target.occurrence || meeting.seriesId ? 'occurrence' : 'series')
+    : undefined;
+  const label = `"${meeting.title}" (${formatDateTime(meeting.startTime, timeZone)}` +
+    `${scope ? `, ${SCOPE_DESCRIPTIONS[scope] || scope}` : ''})`;
+
+  return { meeting: summarizeMeeting(meeting, timeZone), scope, label };
+};
+
+const deleteMeetingTool = {
+  name: "delete_meeting",
+  description: "Delete a meeting from the calendar. Nothing is deleted until the user confirms: the call returns a confirmationToken and a preview of what would be removed.",
+  parameters: {
+    type: "object",
+    properties: {
+      meetingId: {
+        type: "string",
+        description: "The ID of the meeting to delete, or an occurrence ID of a recurring meeting, as returned by find_meeting or another tool (never guessed)"
+      },
+      scope: {
+        type: "string",
+        enum: ["occurrence", "following", "series"],
+        description: "For recurring meetings: delete only this occurrence, this and following occurrences, or the whole series"
+      }
+    },
+    required: ["meetingId"]
+  },
+  preview: async (args, context) => {
+    const target = await describeTarget(args, context);
+    if (target.error) return target;
+
+    return {
+      action: 'delete',
+      meeting: target.meeting,
+      scope: target.scope,
+      description: `Delete ${target.label}`
+    };
+  },
+  execute: async (args, { calendarId, timeZone, audit }) => {
+    const result = await deleteMeeting(calendarId, args.meetingId, args.scope, audit());
+
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      message: '✅ Meeting deleted successfully',
+      deletedMeeting: summarizeMeeting(result.meeting, timeZone)
+    };
+  }
+};
+
+const BULK_VERBS = { create: 'Create', update: 'Update', shift: 'Shift', cancel: 'Cancel' };
+const BULK_DONE = { create: 'Created', update: 'Updated', shift: 'Shifted', cancel: 'Cancelled' };
+
+// One meeting of a bulk operation, with its new times in the user's zone
+const summarizeBulkItem = (item, timeZone) => ({
+  id: item.meetingId || item.id,
+  title: item.title,
+  status: item.status,
+  error: item.error,
+  localStartTime: formatDateTime(item.after?.startTime || item.startTime, timeZone),
+  localEndTime: formatDateTime(item.after?.endTime || item.endTime, timeZone),
+  conflictSeverity: item.conflictSeverity,
+  conflicts: item.conflicts.map(c => ({ id: c.id, title: c.title, severity: c.overlap?.severity, inBatch: c.inBatch }))
+});
+
+const toBulkRequest = (args) => ({
+  action: args.action,
+  ids: args.meetingIds,
+  filter: { startDate: args.startDate, endDate: args.endDate, title: args.titleContains },
+  meetings: args.meetings,
+  changes: args.changes,
+  offsetMinutes: args.offsetMinutes,
+  scope: args.scope
+});
+
+const bulkUpdateMeetingsTool = {
+  name: "bulk_update_meetings",
+  description: "Create, update, shift or cancel several meetings in one action, e.g. \"push everything this afternoon back an hour\" or \"clear my Friday\". Select meetings by meetingIds or by a date range and/or title. Nothing changes until the user confirms: the call returns a confirmationToken and a preview listing every meeting affected and any conflicts.",
+  parameters: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["create", "update", "shift", "cancel"],
+        description: "create: add the listed meetings; update: set the same details on every selected meeting; shift: move every selected meeting by offsetMinutes; cancel: delete every selected meeting"
+      },
+      meetingIds: {
+        type: "array",
+        items: { type: "string" },
+        description: "IDs (or occurrence IDs) of the meetings to change"
+      },
+      startDate: {
+        type: "string",
+        description: "Select meetings starting at or after this time (ISO 8601, local to the user's time zone); needs endDate"
+      },
+      endDate: {
+        type: "string",
+        description: "Select meetings starting before this time (ISO 8601, local to the user's time zone)"
+      },
+      titleContains: {
+        type: "string",
+        description: "Select meetings whose title contains this text"
+      },
+      offsetMinutes: {
+        type: "number",
+        description: "For shift: minutes to move each meeting by (negative moves earlier)"
+      },
+      changes: {
+        type: "object",
+        description: "For update: details to set on every selected meeting (title, description, organizer, attendees, location, priority, movable, required)"
+      },
+      meetings: {
+        type: "array",
+        items: { type: "object" },
+        description: "For create: meetings to create, each with title, startTime, endTime and optionally attendees, location, description"
+      },
+      scope: {
+        type: "string",
+        enum: ["occurrence", "following", "series"],
+        description: "For recurring meetings selected by ID: which occurrences to change"
+      }
+    },
+    required: ["action"]
+  },
+  preview: async (args, { calendarId, timeZone }) => {
+    const plan = await runBulkOperation(calendarId, { ...toBulkRequest(args), dryRun: true }, { timeZone });
+    if (plan.error) return { error: plan.error };
+
+    const offset = args.action === 'shift' ? ` by ${args.offsetMinutes > 0 ? '+' : ''}${args.offsetMinutes} minutes` : '';
+    const titles = plan.items.map(item => `"${item.title}"`).join(', ');
+    // The confirmed call changes exactly the previewed meetings, not whatever the filter matches by then
+    const { startDate, endDate, titleContains, ...rest } = args;
+    return {
+      confirmArgs: args.action === 'create' ? args : { ...rest, meetingIds: plan.items.map(item => item.id) },
+      action: 'bulk',
+      bulkAction: args.action,
+      items: plan.items.map(item => summarizeBulkItem(item, timeZone)),
+      conflictCount: plan.conflictCount,
+      description: `${BULK_VERBS[args.action]} ${plan.matched} meeting(s)${offset}: ${titles}` +
+        (plan.conflictCount > 0 ? ` (${plan.conflictCount} would conflict)` : '')
+    };
+  },
+  execute: async (args, { calendarId, timeZone, audit }) => {
+    const result = await runBulkOperation(calendarId, toBulkRequest(args), { ...audit(), timeZone });
+
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    const failed = result.items.filter(item => item.status === 'failed');
+    return {
+      success: failed.length === 0,
+      message: `✅ ${BULK_DONE[args.action]} ${result.matched - failed.length} meeting(s)` +
+        (failed.length > 0 ? `, ${failed.length} failed` : ''),
+      meetings: result.items.map(item => summarizeBulkItem(item, timeZone)),
+      conflictCount: result.conflictCount
+    };
+  }
+};
+
+const undoLastChangeTool = {
+  name: "undo_last_change",
+  description: "Undo the last change made in this conversation (e.g. \"undo that\"), or the last change of one meeting. A created meeting is removed again, a deleted one comes back and an update is reverted. Nothing changes until the user confirms: the call returns a confirmationToken and a preview of what would be undone.",
+  parameters: {
+    type: "object",
+    properties: {
+      meetingId: {
+        type: "string",
+        description: "Undo the last change of this meeting instead, whoever made it"
+      }
+    }
+  },
+  // The change shown is the one undone on confirmation, even if another one is made in between
+  preview: async (args, { calendarId, sessionId }) => {
+    const filter = args.meetingId ? { meetingId: args.meetingId } : { sessionId };
+    const result = await previewUndo(calendarId, filter);
+    if (result.error) return { error: result.error };
+
+    return {
+      action: 'undo',
+      changeId: result.change.changeId,
+      description: `Undo: ${result.change.description}`,
+      confirmArgs: { ...args, changeId: result.change.changeId }
+    };
+  },
+  execute: async (args, { calendarId, sessionId, timeZone, audit }) => {
+    const filter = args.changeId
+      ? { changeId: args.changeId }
+      : args.meetingId ? { meetingId: args.meetingId } : { sessionId };
+    const result = await undoLastChange(calendarId, filter, audit());
+
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      message: `↩️ Undid: ${result.change.description}`,
+      meetings: result.meetings.map(m => summarizeMeeting(m, timeZone))
+    };
+  }
+};
+
+const queryConflictHistoryTool = {
+  name: "query_conflict_history",
+  description: "Search past scheduling conflicts and how they were handled. Returns summary statistics (counts by outcome, type and severity, meetings that clash most often) plus the most recent matching conflicts with their resolutions. Use for questions like \"how many double-bookings did I have last month?\" or \"what did we do last time standup clashed?\".",
+  parameters: {
+    type: "object",
+    properties: {
+      startDate: {
+        type: "string",
+        description: "Only conflicts involving meetings from this date (ISO 8601)"
+      },
+      endDate: {
+        type: "string",
+        description: "Only conflicts involving meetings up to this date (ISO 8601)"
+      },
+      search: {
+        type: "string",
+        description: "Text to match in the titles of the meetings involved (e.g. \"standup\")"
+      },
+      outcome: {
+        type: "string",
+        enum: ["pending", "forced", "rescheduled", "cancelled", "ignored"],
+        description: "Only conflicts that ended this way"
+      },
+      severity: {
+        type: "string",
+        enum: ["back_to_back", "partial", "full"],
+        description: "Only conflicts this severe (back_to_back: a few minutes at the edge, full: one meeting entirely inside another)"
+      },
+      limit: {
+        type: "number",
+        description: "How many recent conflicts to include (default 5)"
+      }
+    }
+  },
+  execute: async (args, { calendarId, timeZone }) => {
+    const history = await summarizeConflictHistory(calendarId, { ...args, timeZone });
+
+    if (history.error) {
+      return { success: false, error: history.error };
+    }
+
+    return { success: true, intent: 'QUERY_HISTORY', ...history };
+  }
+};
+
+const prioritizeMeetingsTool = {
+  name: "prioritize_meetings",
+  description: "Rank clashing meetings by priority, required/movable flags and attendees, and recommend which to keep, move (with a suggested free slot) or decline. Pass the clashing meeting IDs, or a date range to look at every clash in it. The advice is logged; nothing is changed until you call update_meeting/delete_meeting.",
+  parameters: {
+    type: "object",
+    properties: {
+      meetingIds: {
+        type: "array",
+        items: { type: "string" },
+        description: "IDs (or occurrence IDs) of the clashing meetings"
+      },
+      startDate: {
+        type: "string",
+        description: "Start of a range to check for clashes instead (ISO 8601, local to the user's time zone)"
+      },
+      endDate: {
+        type: "string",
+        description: "End of that range (ISO 8601, local to the user's time zone)"
+      }
+    }
+  },
+  execute: async (args, { calendarId, timeZone, audit }) => {
+    const result = await prioritizeMeetings(calendarId, { ...args, timeZone }, audit());
+
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      intent: 'PRIORITIZE_EVENTS',
+      conflictId: result.conflictId,
+      summary: result.summary,
+      recommendations: result.recommendations.map(r => ({
+        ...r,
+        localStartTime: formatDateTime(r.startTime, timeZone),
+        localSuggestedStartTime: r.suggestedStartTime ? formatDateTime(r.suggestedStartTime, timeZone) : undefined
+      }))
+    };
+  }
+};
+
+// Runs actions held back for confirmation; tokens select some of the session's pending actions (default: all).
+// Each runs with the calendar it was requested for. Returns { actions: [{ tool, arguments, preview, result }] } or { error }.
+const confirmPendingActions = async (context, tokens) => {
+  const taken = await takePendingActions(context.store, context.sessionId, tokens);
+  if (taken.error) return taken;
+
+  const actions = [];
+  for (const action of taken.actions) {
+    const result = await executeTool(action.tool, action.args, { ...context, calendarId: action.calendarId, confirmed: true });
+    actions.push({ tool: action.tool, arguments: action.args, preview: action.preview, result });
+  }
+  return { actions };
+};
+
+// Drops actions held back for confirmation. Returns { actions: [{ tool, arguments, preview }] } or { error }.
+const cancelPendingActions = async ({ store, sessionId }, tokens) => {
+  const taken = await takePendingActions(store, sessionId, tokens);
+  if (taken.error) return taken;
+  return { actions: taken.actions.map(a => ({ tool: a.tool, arguments: a.args, preview: a.preview })) };
+};
+
+const confirmActionTool = {
+  name: "confirm_action",
+  description: "Run changes that are waiting for confirmation (update_meeting, delete_meeting, bulk_update_meetings, apply_resolution and undo_last_change return a confirmationToken instead of running). Call only after the user clearly agrees to the previewed change, e.g. \"yes\" or \"go ahead\".",
+  parameters: {
+    type: "object",
+    properties: {
+      tokens: {
+        type: "array",
+        items: { type: "string" },
+        description: "Confirmation tokens of the changes the user agreed to (default: every change waiting in this conversation)"
+      }
+    }
+  },
+  execute: async (args, context) => {
+    // The user cannot have agreed to a change requested during this same request
+    const unseen = (await listPendingActions(context.store, context.sessionId))
+      .filter(a => !args.tokens?.length || args.tokens.includes(a.token))
+      .filter(a => context.startedAt && new Date(a.createdAt) >= context.startedAt);
+    if (unseen.length > 0) {
+      return { success: false, error: 'The user has not seen these changes yet: show the preview and wait for their answer' };
+    }
+
+    const confirmed = await confirmPendingActions(context, args.tokens);
+
+    if (confirmed.error) {
+      return { success: false, error: confirmed.error };
+    }
+
+    return {
+      success: confirmed.actions.every(a => a.result.success),
+      message: `Ran ${confirmed.actions.length} confirmed change(s)`,
+      results: confirmed.actions.map(a => ({ tool: a.tool, description: a.preview.description, ...a.result }))
+    };
+  }
+};
+
+const cancelActionTool = {
+  name: "cancel_action",
+  description: "Drop changes that are waiting for confirmation, when the user says no or asks for something else instead.",
+  parameters: {
+    type: "object",
+    properties: {
+      tokens: {
+        type: "array",
+        items: { type: "string" },
+        description: "Confirmation tokens of the changes to drop (default: every change waiting in this conversation)"
+      }
+    }
+  },
+  execute: async (args, context) => {
+    const cancelled = await cancelPendingActions(context, args.tokens);
+
+    if (cancelled.error) {
+      return { success: false, error: cancelled.error };
+    }
+
+    return {
+      success: true,
+      message: `Cancelled ${cancelled.actions.length} change(s); nothing was modified`,
+      cancelled: cancelled.actions.map(a => a.preview.description)
+    };
+  }
+};
+
+const TOOLS = [
+  createMeetingTool,
+  getMeetingsTool,
+  findMeetingTool,
+  findAvailableTimeTool,
+  updateMeetingTool,
+  applyResolutionTool,
+  deleteMeetingTool,
+  bulkUpdateMeetingsTool,
+  undoLastChangeTool,
+  queryConflictHistoryTool,
+  prioritizeMeetingsTool,
+  confirmActionTool,
+  cancelActionTool
+];
+
+const toolsByName = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+// Tool definitions in the OpenAI function-calling format
+const getToolSchemas = () => TOOLS.map(({ name, description, parameters }) => ({
+  type: 'function',
+  function: { name, description, parameters }
+}));
+
+// Tools with a preview only run with context.confirmed; otherwise the call is stored as a pending action
+// and the result carries its confirmationToken and preview
+const executeTool = async (name, args, context) => {
+  const tool = toolsByName.get(name);
+  if (!tool) {
+    return { success: false, error: `Unknown function: ${name}` };
+  }
+
+  // A tool that throws (e.g. a CastError on a malformed ID) returns the error, so the model can recover
+  try {
+    if (!tool.preview || context.confirmed) {
+      return await tool.execute(args, context);
+    }
+
+    // A preview may pin down what the confirmed call runs with (confirmArgs), e.g. the exact proposal it showed
+    const { confirmArgs, ...preview } = await tool.preview(args, context);
+    if (preview.error) {
+      return { success: false, ...preview };
+    }
+
+    const action = await createPendingAction(context.store, {
+      sessionId: context.sessionId,
+      calendarId: context.calendarId,
+      tool: name,
+      args: confirmArgs || args,
+      preview
+    });
+
+    return {
+      success: false,
+      requiresConfirmation: true,
+      confirmationToken: action.token,
+      expiresAt: action.expiresAt,
+      preview,
+      message: `Nothing was changed yet. ${preview.description}? Ask the user to confirm.`
+    };
+  } catch (error) {
+    console.error(`Error running ${name}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  TOOLS,
+  getToolSchemas,
+  executeTool,
+  confirmPendingActions,
+  cancelPendingActions
+};
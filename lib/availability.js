@@ -0,0 +1,277 @@
+const { findMeetingsInRange, normalizeAttendees, sharesPersonOrRoom } = require('./meetings');
+const { DAY_MS } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, toWallTime, fromWallTime, parseDateTime } = require('./timezone');
+const {
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_WORKING_DAYS,
+  parseClockTime,
+  parseWorkingDays,
+  getSchedulingRules,
+  getFocusIntervals
+} = require('./schedulingRules');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_STEP_MINUTES = 15;
+const DEFAULT_SLOT_LIMIT = 5;
+
+// Allowed spacing of candidate start times, and most slots returned per call
+const MIN_STEP_MINUTES = 5;
+const MAX_STEP_MINUTES = 240;
+const MAX_SLOT_LIMIT = 50;
+
+// Longest range searched in one call
+const MAX_RANGE_DAYS = 62;
+
+// Gap that counts as a comfortable buffer next to another meeting
+const BUFFER_MINUTES = 15;
+
+// Sorted, merged busy intervals
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = new Date(Math.max(last.end, interval.end));
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+};
+
+// Free windows of [windowStart, windowEnd] not covered by busy intervals
+const subtractBusy = (windowStart, windowEnd, busy) => {
+  const free = [];
+  let cursor = windowStart;
+  for (const interval of busy) {
+    if (interval.end <= cursor) continue;
+    if (interval.start >= windowEnd) break;
+    if (interval.start > cursor) free.push({ start: cursor, end: interval.start });
+    cursor = new Date(Math.max(cursor, interval.end));
+  }
+  if (cursor < windowEnd) free.push({ start: cursor, end: windowEnd });
+  return free;
+};
+
+const scoreSlot = (start, end, rangeStart, busy, timeZone) => {
+  const reasons = [];
+  let score = 100;
+
+  const daysOut = Math.floor((toWallTime(start, timeZone) - toWallTime(rangeStart, timeZone)) / DAY_MS);
+  score -= daysOut * 2;
+  if (daysOut === 0) reasons.push('earliest available day');
+
+  const minute = new Date(toWallTime(start, timeZone)).getUTCMinutes();
+  if (minute === 0) {
+    score += 10;
+    reasons.push('starts on the hour');
+  } else if (minute === 30) {
+    score += 5;
+    reasons.push('starts on the half hour');
+  }
+
+  const before = busy.filter(b => b.end <= start).pop();
+  const after = busy.find(b => b.start >= end);
+  const gapBefore = before ? (start - before.end) / MINUTE_MS : Infinity;
+  const gapAfter = after ? (after.start - end) / MINUTE_MS : Infinity;
+
+  if (gapBefore === 0 || gapAfter === 0) {
+    score -= 10;
+    reasons.push('back-to-back with another meeting');
+  } else if (gapBefore >= BUFFER_MINUTES && gapAfter >= BUFFER_MINUTES) {
+    score += 10;
+    reasons.push(`at least ${BUFFER_MINUTES} minutes clear on both sides`);
+  }
+
+  return { score, reasons };
+};
+
+// Every step-aligned free slot of `duration` minutes within working hours, in chronological order.
+// Working days and hours are local to `timeZone`.
+const collectFreeSlots = ({ rangeStart, rangeEnd, duration, busy, workStart, workEnd, workingDays, step, timeZone = 'UTC' }) => {
+  const slots = [];
+  const stepMs = step * MINUTE_MS;
+  const localStart = new Date(toWallTime(rangeStart, timeZone));
+  const firstDay = Date.UTC(localStart.getUTCFullYear(), localStart.getUTCMonth(), localStart.getUTCDate());
+  const lastDay = toWallTime(rangeEnd, timeZone);
+
+  for (let day = firstDay; day < lastDay; day += DAY_MS) {
+    if (!workingDays.includes(new Date(day).getUTCDay())) continue;
+
+    const windowStart = new Date(Math.max(fromWallTime(day + workStart * MINUTE_MS, timeZone), rangeStart));
+    const windowEnd = new Date(Math.min(fromWallTime(day + workEnd * MINUTE_MS, timeZone), rangeEnd));
+    if (windowEnd <= windowStart) continue;
+
+    for (const free of subtractBusy(windowStart, windowEnd, busy)) {
+      // Align candidate starts to the step in local time (e.g. :00, :15, :30, :45)
+      const offset = toWallTime(free.start, timeZone) - free.start.getTime();
+      let start = Math.ceil((free.start.getTime() + offset) / stepMs) * stepMs - offset;
+
+      while (start + duration * MINUTE_MS <= free.end.getTime()) {
+        slots.push({ startTime: new Date(start), endTime: new Date(start + duration * MINUTE_MS) });
+        start += stepMs;
+      }
+    }
+  }
+
+  return slots;
+};
+
+// Busy intervals of the given people (all meetings when nobody is given), optionally ignoring one meeting.
+// With scheduling rules, meetings are padded by the buffer and focus time counts as busy.
+const getBusyIntervals = async (calendarId, rangeStart, rangeEnd, participants, { excludeMeetingId = null, extraBusy = [], rules = null, timeZone } = {}) => {
+  const padding = (rules?.bufferMinutes || 0) * MINUTE_MS;
+  const meetings = await findMeetingsInRange(
+    calendarId,
+    new Date(rangeStart.getTime() - padding),
+    new Date(rangeEnd.getTime() + padding)
+  );
+
+  return mergeIntervals([
+    ...meetings
+      .filter(m => !excludeMeetingId || String(m._id) !== String(excludeMeetingId))
+      .filter(m => sharesPersonOrRoom(participants, m))
+      .map(m => ({ start: new Date(new Date(m.startTime).getTime() - padding), end: new Date(new Date(m.endTime).getTime() + padding) })),
+    ...(rules ? getFocusIntervals(rules, rangeStart, rangeEnd, timeZone) : []).map(({ start, end }) => ({ start, end })),
+    ...extraBusy
+  ]);
+};
+
+// Working hours, days and zone to search in: explicit options, then the calendar's rules, then the defaults
+const getWorkingTime = (rules, options = {}) => ({
+  timeZone: options.timeZone || rules?.timeZone || DEFAULT_TIME_ZONE,
+  start: options.workingHoursStart || rules?.workingHours?.start || DEFAULT_WORKING_HOURS.start,
+  end: options.workingHoursEnd || rules?.workingHours?.end || DEFAULT_WORKING_HOURS.end,
+  days: options.workingDays ?? (rules?.workingDays?.length > 0 ? rules.workingDays : DEFAULT_WORKING_DAYS)
+});
+
+// Closest free slots of the same length before and after a requested time, within the calendar's working
+// hours (default 09:00-17:00 in the meeting's time zone) and clear of its buffers and focus time.
+// `meeting` is { startTime, endTime, organizer, attendees, location, timeZone }.
+// Returns { before, after } (either may be null).
+const findNearestSlots = async (calendarId, meeting, { excludeMeetingId = null, extraBusy = [], searchDays = 3 } = {}) => {
+  const startTime = new Date(meeting.startTime);
+  const endTime = new Date(meeting.endTime);
+  const duration = (endTime - startTime) / MINUTE_MS;
+
+  const rangeStart = new Date(Math.max(startTime.getTime() - searchDays * DAY_MS, Date.now()));
+  const rangeEnd = new Date(endTime.getTime() + searchDays * DAY_MS);
+  if (rangeEnd <= rangeStart) return { before: null, after: null };
+
+  const rules = await getSchedulingRules(calendarId);
+  const working = getWorkingTime(rules, { timeZone: rules?.timeZone || meeting.timeZone });
+  const busy = await getBusyIntervals(calendarId, rangeStart, rangeEnd, meeting, {
+    excludeMeetingId,
+    extraBusy,
+    rules,
+    timeZone: working.timeZone
+  });
+  const slots = collectFreeSlots({
+    rangeStart,
+    rangeEnd,
+    duration,
+    busy,
+    workStart: parseClockTime(working.start),
+    workEnd: parseClockTime(working.end),
+    workingDays: working.days,
+    step: DEFAULT_STEP_MINUTES,
+    timeZone: working.timeZone
+  });
+
+  return {
+    before: slots.filter(s => s.startTime < startTime).pop() || null,
+    after: slots.find(s => s.startTime > startTime) || null
+  };
+};
+
+// Free slots of `duration` minutes within working hours, ranked best first.
+// With an organizer/attendees, only meetings involving those people (or nobody in particular) block time.
+// Working hours and dates without an offset are local to options.timeZone. Working hours, days and zone
+// not given fall back to the calendar's scheduling rules, whose buffers and focus time are kept free.
+// Returns { slots, searched, totalCandidates } or { error }.
+const findAvailableSlots = async (calendarId, options = {}) => {
+  const duration = Number(options.duration);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > 24 * 60) {
+    return { error: 'duration must be a number of minutes between 1 and 1440' };
+  }
+
+  const step = options.step == null || options.step === '' ? DEFAULT_STEP_MINUTES : Number(options.step);
+  if (!Number.isInteger(step) || step < MIN_STEP_MINUTES || step > MAX_STEP_MINUTES) {
+    return { error: `step must be a whole number of minutes between ${MIN_STEP_MINUTES} and ${MAX_STEP_MINUTES}` };
+  }
+
+  const limit = options.limit == null || options.limit === '' ? DEFAULT_SLOT_LIMIT : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SLOT_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_SLOT_LIMIT}` };
+  }
+
+  const rules = await getSchedulingRules(calendarId);
+  const working = getWorkingTime(rules, options);
+  const { timeZone } = working;
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Invalid time zone: ${timeZone}` };
+  }
+
+  const rangeStart = options.startDate ? parseDateTime(options.startDate, timeZone) : new Date();
+  const rangeEnd = options.endDate ? parseDateTime(options.endDate, timeZone) : new Date(rangeStart.getTime() + 7 * DAY_MS);
+  if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+    return { error: 'Invalid date format for startDate or endDate' };
+  }
+  if (rangeEnd <= rangeStart) {
+    return { error: 'endDate must be after startDate' };
+  }
+  if (rangeEnd - rangeStart > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  const workStart = parseClockTime(working.start);
+  const workEnd = parseClockTime(working.end);
+  if (workStart === null || workEnd === null || workEnd <= workStart) {
+    return { error: 'Working hours must be HH:MM with the end after the start' };
+  }
+
+  const workingDays = parseWorkingDays(working.days);
+  if (!workingDays) {
+    return { error: 'workingDays must be weekday numbers (0 = Sunday) or codes like MO,TU' };
+  }
+
+  const attendees = normalizeAttendees(options.attendees);
+  const participants = { organizer: options.organizer, attendees };
+
+  const busy = await getBusyIntervals(calendarId, rangeStart, rangeEnd, participants, { rules, timeZone });
+  const candidates = collectFreeSlots({ rangeStart, rangeEnd, duration, busy, workStart, workEnd, workingDays, step, timeZone })
+    .map(slot => ({ ...slot, ...scoreSlot(slot.startTime, slot.endTime, rangeStart, busy, timeZone) }));
+
+  // Best score first, then earliest; skip candidates overlapping one already picked
+  candidates.sort((a, b) => b.score - a.score || a.startTime - b.startTime);
+  const slots = [];
+  for (const candidate of candidates) {
+    if (slots.length >= limit) break;
+    if (slots.some(s => candidate.startTime < s.endTime && candidate.endTime > s.startTime)) continue;
+    slots.push(candidate);
+  }
+
+  return {
+    slots: slots.map((slot, index) => ({ rank: index + 1, ...slot })),
+    searched: {
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      duration,
+      workingHours: { start: working.start, end: working.end },
+      workingDays,
+      timeZone,
+      organizer: options.organizer,
+      attendees
+    },
+    totalCandidates: candidates.length
+  };
+};
+
+module.exports = {
+  findAvailableSlots,
+  findNearestSlots,
+  mergeIntervals,
+  subtractBusy
+};
@@ -0,0 +1,410 @@
+const Meeting = require('../models/Meeting');
+const {
+  SEVERITIES,
+  calendarScope,
+  escapeRegExp,
+  normalizeAttendees,
+  validateImportance,
+  sharesPersonOrRoom,
+  isRecurring,
+  buildOccurrence,
+  findMeetingsInRange,
+  measureOverlap,
+  highestSeverity,
+  flagConflicts,
+  getConflictWindows,
+  checkTimeConflict,
+  resolveMeeting
+} = require('./meetings');
+const { SCOPES, updateMeeting, deleteMeeting } = require('./series');
+const { recordConflict } = require('./conflicts');
+const { syncConflictLinks } = require('./conflictLinks');
+const { createChangeSet } = require('./history');
+const { normalizeRecurrence } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, parseDateTime, getAllDayBounds } = require('./timezone');
+
+// Changes many meetings in one request: create a batch, update details, shift by an offset or cancel.
+// Targets are explicit IDs or a filter. Conflicts are checked for the batch as a whole, so meetings moved
+// together are checked at their new times, against each other too; a dry run reports the plan without writing.
+
+const BULK_ACTIONS = ['create', 'update', 'shift', 'cancel'];
+
+// Most meetings one request may touch
+const MAX_BULK_MEETINGS = 100;
+
+// Fields `update` may set on every target; times change with `shift`
+const BULK_UPDATE_FIELDS = ['title', 'description', 'organizer', 'attendees', 'location', 'priority', 'movable', 'required'];
+
+const MINUTE_MS = 60 * 1000;
+
+const describe = (meeting) => ({
+  id: String(meeting._id),
+  title: meeting.title,
+  startTime: meeting.startTime,
+  endTime: meeting.endTime
+});
+
+const describeConflict = (m) => ({ ...describe(m), overlap: m.overlap });
+
+// Meetings a request targets, shaped like stored meetings. With a date range, series are expanded and each
+// occurrence starting in the range is a target of its own; without one, a series is a single target.
+// Returns { targets } or { error, status }.
+const selectTargets = async (calendarId, { ids, filter = {} }, timeZone) => {
+  if (ids?.length > 0) {
+    const targets = new Map();
+    for (const id of ids) {
+      const target = await resolveMeeting(String(id), calendarId);
+      if (!target) return { error: `Meeting not found: ${id}`, status: 404 };
+      const meeting = target.occurrence ? buildOccurrence(target.meeting, target.occurrence) : target.meeting.toObject();
+      targets.set(String(meeting._id), meeting);
+    }
+    return { targets: [...targets.values()] };
+  }
+
+  const { startDate, endDate, title } = filter;
+  if (!startDate && !endDate && !title) {
+    return { error: 'Select meetings with ids or a filter (startDate and endDate, title)', status: 400 };
+  }
+  if (!startDate !== !endDate) {
+    return { error: 'A date range needs both startDate and endDate', status: 400 };
+  }
+
+  const titlePattern = title ? new RegExp(escapeRegExp(title), 'i') : null;
+  let targets;
+  if (startDate) {
+    const rangeStart = parseDateTime(startDate, timeZone);
+    const rangeEnd = parseDateTime(endDate, timeZone);
+    if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+      return { error: 'Invalid date format for startDate or endDate', status: 400 };
+    }
+    const meetings = await findMeetingsInRange(calendarId, rangeStart, rangeEnd, { matchStart: true });
+    targets = meetings.filter(m => m.startTime < rangeEnd);
+  } else {
+    const meetings = await Meeting.find({ ...calendarScope(calendarId), title: titlePattern }).sort({ startTime: 1 });
+    targets = meetings.map(m => m.toObject());
+  }
+
+  return { targets: titlePattern ? targets.filter(m => titlePattern.test(m.title)) : targets };
+};
+
+// With scope "series" a change to any member changes its whole series, so the members selected from one
+// series become a single target: the series itself. Otherwise the change would be applied once per member.
+const collapseToSeries = async (calendarId, targets) => {
+  const bySeries = new Map();
+  for (const target of targets) {
+    const key = String(target.seriesId || target._id);
+    if (bySeries.has(key)) continue;
+    if (!target.seriesId) {
+      bySeries.set(key, target);
+      continue;
+    }
+    const series = await Meeting.findOne({ _id: target.seriesId, ...calendarScope(calendarId) });
+    bySeries.set(key, series && isRecurring(series) ? series.toObject() : target);
+  }
+  return [...bySeries.values()];
+};
+
+// Validated details of one meeting to create; times without an offset are read in its timeZone, then `timeZone`.
+// Returns { details } or { error }.
+const prepareNewMeeting = (calendarId, input, timeZone) => {
+  if (!input?.title || !input.startTime || (!input.endTime && !input.allDay)) {
+    return { error: 'title, startTime and endTime are required' };
+  }
+  const zone = input.timeZone || timeZone;
+  if (!isValidTimeZone(zone)) {
+    return { error: `Invalid time zone: ${zone}` };
+  }
+
+  let startTime = parseDateTime(input.startTime, zone);
+  let endTime = input.endTime ? parseDateTime(input.endTime, zone) : null;
+  if (isNaN(startTime.getTime()) || (endTime && isNaN(endTime.getTime()))) {
+    return { error: 'Invalid date format for startTime or endTime' };
+  }
+  if (input.allDay) {
+    ({ startTime, endTime } = getAllDayBounds(startTime, endTime, zone));
+  }
+  if (endTime <= startTime) {
+    return { error: 'endTime must be after startTime' };
+  }
+
+  const importanceError = validateImportance(input);
+  if (importanceError) {
+    return { error: importanceError };
+  }
+
+  let recurrence;
+  try {
+    recurrence = normalizeRecurrence(input.recurrence, input.exdates);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    details: {
+      calendarId,
+      title: input.title,
+      description: input.description,
+      startTime,
+      endTime,
+      timeZone: zone,
+      allDay: !!input.allDay,
+      organizer: input.organizer,
+      attendees: normalizeAttendees(input.attendees),
+      location: input.location,
+      priority: input.priority,
+      movable: input.movable,
+      required: input.required,
+      recurrence: recurrence || undefined
+    }
+  };
+};
+
+// Checks the fields of an `update`; returns an error message or null
+const validateChanges = (changes) => {
+  const fields = Object.keys(changes || {});
+  if (fields.length === 0) {
+    return `changes must set at least one of: ${BULK_UPDATE_FIELDS.join(', ')}`;
+  }
+  const unsupported = fields.filter(field => !BULK_UPDATE_FIELDS.includes(field));
+  if (unsupported.length > 0) {
+    return `changes cannot set ${unsupported.join(', ')} (use action "shift" to move meetings)`;
+  }
+  if (changes.title !== undefined && !String(changes.title).trim()) {
+    return 'title cannot be empty';
+  }
+  return validateImportance(changes);
+};
+
+// What each action does to one target: the meeting as it would be afterwards (for conflict checks)
+// and its new times (none for a cancelled meeting)
+const planTarget = (target, { action, changes, offsetMinutes }) => {
+  // A single occurrence occupies one slot; a whole series keeps its recurrence
+  const meeting = target.isOccurrence ? { ...target, recurrence: undefined } : { ...target };
+  const item = { ...describe(target), recurring: isRecurring(meeting), meeting };
+
+  if (action === 'cancel') return { ...item, after: null };
+  if (action === 'update') {
+    Object.assign(meeting, changes);
+    if (changes.attendees !== undefined) meeting.attendees = normalizeAttendees(changes.attendees);
+    return { ...item, after: { startTime: target.startTime, endTime: target.endTime } };
+  }
+
+  const offset = offsetMinutes * MINUTE_MS;
+  return {
+    ...item,
+    after: {
+      startTime: new Date(new Date(target.startTime).getTime() + offset),
+      endTime: new Date(new Date(target.endTime).getTime() + offset)
+    }
+  };
+};
+
+const getItemWindows = (item) => getConflictWindows(item.after.startTime, item.after.endTime, item.meeting);
+
+// A batch item at its new time, as listed among another item's conflicts
+const describeItem = (item) => ({
+  id: item.id,
+  index: item.index,
+  title: item.title,
+  startTime: item.after.startTime,
+  endTime: item.after.endTime
+});
+
+const isWorse = (overlap, current) => {
+  if (!current) return true;
+  const rank = SEVERITIES.indexOf(overlap.severity) - SEVERITIES.indexOf(current.severity);
+  return rank > 0 || (rank === 0 && overlap.minutes > current.minutes);
+};
+
+// Worst overlap between two sets of { start, end } windows, measured from the first set (null if they never overlap)
+const worstOverlap = (windows, others) => {
+  let worst = null;
+  for (const window of windows) {
+    for (const other of others) {
+      if (window.start >= other.end || window.end <= other.start) continue;
+      const overlap = measureOverlap(window, other);
+      if (isWorse(overlap, worst)) worst = overlap;
+    }
+  }
+  return worst;
+};
+
+// Predicted clashes of every planned item at its new time, with meetings outside the batch and with other items
+// (a meeting the batch moves or cancels is not checked at its old time). Sets conflicts/conflictSeverity on each item.
+const checkBatchConflicts = async (calendarId, items) => {
+  const batchIds = new Set(items.filter(i => i.id).map(i => i.id));
+  const inBatch = (m) => batchIds.has(String(m._id)) || (!!m.isOccurrence && batchIds.has(String(m.seriesId)));
+  const planned = items.filter(item => item.after);
+
+  for (const item of planned) {
+    const excludeId = item.id && !item.meeting.isOccurrence ? item.id : null;
+    const found = await checkTimeConflict(item.after.startTime, item.after.endTime, excludeId, { ...item.meeting, calendarId });
+    item.conflicts = found.filter(m => !inBatch(m)).map(describeConflict);
+  }
+
+  planned.forEach((item, i) => {
+    for (const other of planned.slice(i + 1)) {
+      if (!sharesPersonOrRoom(item.meeting, other.meeting)) continue;
+      const overlap = worstOverlap(getItemWindows(item), getItemWindows(other));
+      if (!overlap) continue;
+
+      const otherOverlap = worstOverlap(getItemWindows(other), getItemWindows(item));
+      item.conflicts.push({ ...describeItem(other), overlap, inBatch: true });
+      other.conflicts.push({ ...describeItem(item), overlap: otherOverlap, inBatch: true });
+    }
+  });
+
+  for (const item of items) {
+    item.conflicts = item.conflicts || [];
+    item.conflictSeverity = highestSeverity(item.conflicts);
+  }
+};
+
+// Writes one planned item; the batch shares context.changeSet, so it is recorded (and undone) as one change
+const applyItem = async (calendarId, item, { action, changes, scope }, context) => {
+  if (action === 'create') {
+    const meeting = new Meeting(item.meeting);
+    const conflicts = await checkTimeConflict(meeting.startTime, meeting.endTime, null, meeting);
+    flagConflicts(meeting, conflicts);
+    await context.changeSet.save(meeting);
+    await syncConflictLinks(meeting, conflicts);
+    if (conflicts.length > 0) {
+      await recordConflict({
+        calendarId,
+        meeting,
+        conflicts,
+        source: context.source,
+        sessionId: context.sessionId,
+        metadata: context.metadata
+      });
+    }
+    return { meeting, conflicts };
+  }
+
+  if (action === 'cancel') {
+    return deleteMeeting(calendarId, item.id, scope, context);
+  }
+
+  const update = action === 'update'
+    ? changes
+    : { startTime: item.after.startTime.toISOString(), endTime: item.after.endTime.toISOString() };
+  return updateMeeting(calendarId, item.id, update, scope, context);
+};
+
+const STATUSES = { create: 'created', update: 'updated', shift: 'shifted', cancel: 'cancelled' };
+
+const toResult = ({ meeting, ...item }) => item;
+
+// Runs one bulk request: { action, ids, filter: { startDate, endDate, title }, meetings, changes, offsetMinutes, scope, dryRun }.
+// - create: `meetings` lists the meetings to create
+// - update: `changes` sets the same details on every target
+// - shift:  moves every target by `offsetMinutes`
+// - cancel: deletes every target (recurring targets in `scope`, like DELETE /api/meetings/:id)
+// `context` ({ source, sessionId, metadata, timeZone }) says who made the change; dates without an offset are read in
+// context.timeZone. Everything written is one change in the meeting history, so a single undo reverts the batch.
+// Returns { action, dryRun, matched, items, conflictCount, changeId } or { error, status }.
+const runBulkOperation = async (calendarId, request = {}, context = {}) => {
+  const { action, ids, filter, meetings, changes, scope, dryRun = false } = request;
+  const offsetMinutes = Number(request.offsetMinutes);
+  const timeZone = context.timeZone || DEFAULT_TIME_ZONE;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${BULK_ACTIONS.join(', ')}`, status: 400 };
+  }
+  if (scope && !SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${SCOPES.join(', ')}`, status: 400 };
+  }
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Invalid time zone: ${timeZone}`, status: 400 };
+  }
+  if (action === 'shift' && (!Number.isFinite(offsetMinutes) || offsetMinutes === 0)) {
+    return { error: 'offsetMinutes must be a non-zero number of minutes', status: 400 };
+  }
+  if (action === 'update') {
+    const changesError = validateChanges(changes);
+    if (changesError) return { error: changesError, status: 400 };
+  }
+
+  let items;
+  if (action === 'create') {
+    if (!Array.isArray(meetings) || meetings.length === 0) {
+      return { error: 'meetings must list the meetings to create', status: 400 };
+    }
+    if (meetings.length > MAX_BULK_MEETINGS) {
+      return { error: `At most ${MAX_BULK_MEETINGS} meetings can be created at once`, status: 400 };
+    }
+    items = [];
+    for (const [index, input] of meetings.entries()) {
+      const prepared = prepareNewMeeting(calendarId, input, timeZone);
+      if (prepared.error) return { error: `meetings[${index}]: ${prepared.error}`, status: 400 };
+      const { details } = prepared;
+      items.push({
+        index,
+        title: details.title,
+        recurring: isRecurring(details),
+        meeting: details,
+        after: { startTime: details.startTime, endTime: details.endTime }
+      });
+    }
+  } else {
+    const selected = await selectTargets(calendarId, { ids, filter }, timeZone);
+    if (selected.error) return selected;
+    const targets = scope === 'series' ? await collapseToSeries(calendarId, selected.targets) : selected.targets;
+    if (targets.length === 0) {
+      return { error: 'No meetings match the selection', status: 404 };
+    }
+    if (targets.length > MAX_BULK_MEETINGS) {
+      return { error: `${targets.length} meetings match; narrow the selection to at most ${MAX_BULK_MEETINGS}`, status: 400 };
+    }
+    items = targets.map(target => planTarget(target, { action, changes, offsetMinutes }));
+  }
+
+  await checkBatchConflicts(calendarId, items);
+
+  const result = { action, dryRun: !!dryRun, matched: items.length };
+  if (dryRun) {
+    return {
+      ...result,
+      items: items.map(item => ({ ...toResult(item), status: 'planned' })),
+      conflictCount: items.filter(item => item.conflicts.length > 0).length
+    };
+  }
+
+  // Later meetings move first when shifting forward (earlier ones first when shifting back), so meetings
+  // moved together never pass through each other's slots
+  const order = action === 'shift'
+    ? [...items].sort((a, b) => (b.after.startTime - a.after.startTime) * Math.sign(offsetMinutes))
+    : items;
+
+  const changeSet = createChangeSet(calendarId, context);
+  const writeContext = { ...context, timeZone, changeSet };
+  for (const item of order) {
+    const written = await applyItem(calendarId, item, { action, changes, scope }, writeContext);
+    if (written.error) {
+      Object.assign(item, { status: 'failed', error: written.error });
+      continue;
+    }
+    const conflicts = written.conflicts || [];
+    Object.assign(item, {
+      status: STATUSES[action],
+      id: item.id || String(written.meeting._id),
+      meetingId: String(written.meeting._id),
+      conflicts: conflicts.map(describeConflict),
+      conflictSeverity: highestSeverity(conflicts)
+    });
+  }
+
+  return {
+    ...result,
+    items: items.map(toResult),
+    conflictCount: items.filter(item => item.conflicts.length > 0).length,
+    changeId: changeSet.entries.length > 0 ? changeSet.changeId : undefined
+  };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_MEETINGS,
+  BULK_UPDATE_FIELDS,
+  runBulkOperation
+};
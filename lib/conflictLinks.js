@@ -0,0 +1,168 @@
+const Meeting = require('../models/Meeting');
+const ConflictLink = require('../models/ConflictLink');
+const { SEVERITIES, calendarScope, flagConflicts, checkTimeConflict } = require('./meetings');
+
+// Keeps hasConflict/conflictSeverity right on both sides of a clash. Each stored meeting's current clashes
+// are kept as ConflictLinks; whenever a meeting is created, moved or deleted its links are replaced and
+// the meetings it clashed with before or clashes with now get their flags recomputed from their own links.
+
+// The stored meeting behind a conflict: an occurrence of a series is linked through its series
+const getStoredId = (meeting) => String(meeting.isOccurrence ? meeting.seriesId : meeting._id);
+
+const isWorse = (overlap, current) => {
+  if (!current) return true;
+  const rank = SEVERITIES.indexOf(overlap?.severity) - SEVERITIES.indexOf(current.severity);
+  return rank > 0 || (rank === 0 && overlap.minutes > current.minutes);
+};
+
+// Worst overlap per stored meeting among conflicts returned by checkTimeConflict
+const groupByMeeting = (conflicts) => {
+  const worst = new Map();
+  for (const conflict of conflicts) {
+    const id = getStoredId(conflict);
+    if (isWorse(conflict.overlap, worst.get(id))) worst.set(id, conflict.overlap);
+  }
+  return worst;
+};
+
+// Both directions of the clash between a meeting and another stored meeting
+const buildLinks = (calendarId, meetingId, otherId, overlap = {}) => {
+  const details = {
+    calendarId: calendarId || undefined,
+    severity: overlap.severity,
+    overlapStart: overlap.start,
+    overlapEnd: overlap.end,
+    overlapMinutes: overlap.minutes
+  };
+  return [
+    { ...details, meetingId, conflictingMeetingId: otherId },
+    { ...details, meetingId: otherId, conflictingMeetingId: meetingId }
+  ];
+};
+
+const worstSeverity = (links) => {
+  const ranks = links.map(l => SEVERITIES.indexOf(l.severity)).filter(rank => rank >= 0);
+  return ranks.length > 0 ? SEVERITIES[Math.max(...ranks)] : undefined;
+};
+
+// Sets a meeting document's flags from its links; saves only if something changed
+const applyLinks = async (meeting, links) => {
+  meeting.hasConflict = links.length > 0;
+  meeting.conflictSeverity = worstSeverity(links);
+  if (!meeting.isModified()) return false;
+  await meeting.save();
+  return true;
+};
+
+// Recomputes hasConflict/conflictSeverity of stored meetings from their links
+const refreshConflictFlags = async (meetingIds) => {
+  const ids = [...new Set(meetingIds.map(String))];
+  if (ids.length === 0) return;
+
+  const [meetings, links] = await Promise.all([
+    Meeting.find({ _id: { $in: ids } }),
+    ConflictLink.find({ meetingId: { $in: ids } })
+  ]);
+  for (const meeting of meetings) {
+    await applyLinks(meeting, links.filter(l => String(l.meetingId) === String(meeting._id)));
+  }
+};
+
+// Replaces a saved meeting's links with `conflicts` (its checkTimeConflict result) and refreshes the
+// flags of every meeting it clashed with before or clashes with now
+const syncConflictLinks = async (meeting, conflicts) => {
+  const meetingId = String(meeting._id);
+  const previous = await ConflictLink.distinct('conflictingMeetingId', { meetingId });
+
+  const worst = groupByMeeting(conflicts);
+  worst.delete(meetingId);
+
+  await ConflictLink.deleteMany({ $or: [{ meetingId }, { conflictingMeetingId: meetingId }] });
+  const links = [...worst].flatMap(([otherId, overlap]) => buildLinks(meeting.calendarId, meetingId, otherId, overlap));
+  if (links.length > 0) await ConflictLink.insertMany(links);
+
+  await refreshConflictFlags([...previous, ...worst.keys()]);
+};
+
+// Rechecks a saved meeting whose schedule changed indirectly (e.g. a series that lost occurrences),
+// updating its own flags as well as its links
+const refreshMeetingConflicts = async (meeting) => {
+  const conflicts = await checkTimeConflict(meeting.startTime, meeting.endTime, meeting._id, meeting);
+  flagConflicts(meeting, conflicts);
+  if (meeting.isModified()) await meeting.save();
+  await syncConflictLinks(meeting, conflicts);
+  return conflicts;
+};
+
+// Drops the links of deleted meetings and clears the flags of meetings that no longer clash with anything
+const removeConflictLinks = async (meetingIds) => {
+  const ids = meetingIds.map(String);
+  if (ids.length === 0) return;
+
+  const partners = await ConflictLink.distinct('meetingId', { conflictingMeetingId: { $in: ids } });
+  await ConflictLink.deleteMany({ $or: [{ meetingId: { $in: ids } }, { conflictingMeetingId: { $in: ids } }] });
+  await refreshConflictFlags(partners.filter(id => !ids.includes(String(id))));
+};
+
+// The meetings a stored meeting currently clashes with, worst first
+const listConflictLinks = async (meetingId) => {
+  const links = await ConflictLink.find({ meetingId })
+    .populate('conflictingMeetingId', 'title startTime endTime recurrence.rrule');
+
+  return links
+    .map(link => ({
+      meetingId: link.conflictingMeetingId?._id || link.conflictingMeetingId,
+      title: link.conflictingMeetingId?.title,
+      recurring: !!link.conflictingMeetingId?.recurrence?.rrule,
+      severity: link.severity,
+      overlapStart: link.overlapStart,
+      overlapEnd: link.overlapEnd,
+      overlapMinutes: link.overlapMinutes
+    }))
+    .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+};
+
+// Rebuilds the links and flags of every meeting in a calendar from scratch, e.g. for meetings stored before
+// links existed. Returns { meetings, conflicts, flagged, updated }: meetings checked, clashing pairs found,
+// meetings now flagged and meetings whose flags changed.
+const recomputeConflictLinks = async (calendarId) => {
+  const meetings = await Meeting.find(calendarScope(calendarId));
+
+  // A clash is found from either side (an endless series is only checked a year ahead), so pairs are merged
+  const pairs = new Map();
+  for (const meeting of meetings) {
+    const conflicts = await checkTimeConflict(meeting.startTime, meeting.endTime, meeting._id, meeting);
+    for (const [otherId, overlap] of groupByMeeting(conflicts)) {
+      if (otherId === String(meeting._id)) continue;
+      const key = [String(meeting._id), otherId].sort().join('|');
+      if (isWorse(overlap, pairs.get(key))) pairs.set(key, overlap);
+    }
+  }
+
+  const ids = meetings.map(m => m._id);
+  await ConflictLink.deleteMany({ $or: [{ meetingId: { $in: ids } }, { conflictingMeetingId: { $in: ids } }] });
+  const links = [...pairs].flatMap(([key, overlap]) => {
+    const [meetingId, otherId] = key.split('|');
+    return buildLinks(calendarId, meetingId, otherId, overlap);
+  });
+  if (links.length > 0) await ConflictLink.insertMany(links);
+
+  let flagged = 0;
+  let updated = 0;
+  for (const meeting of meetings) {
+    const own = links.filter(l => l.meetingId === String(meeting._id));
+    if (own.length > 0) flagged++;
+    if (await applyLinks(meeting, own)) updated++;
+  }
+
+  return { meetings: meetings.length, conflicts: pairs.size, flagged, updated };
+};
+
+module.exports = {
+  syncConflictLinks,
+  refreshMeetingConflicts,
+  removeConflictLinks,
+  refreshConflictFlags,
+  listConflictLinks,
+  recomputeConflictLinks
+};
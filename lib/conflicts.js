@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Conflict = require('../models/conflict');
+const Meeting = require('../models/Meeting');
+const { calendarScope, escapeRegExp, measureOverlap, highestSeverity } = require('./meetings');
+const { parseDateTime } = require('./timezone');
+
+const OUTCOMES = ['pending', 'forced', 'rescheduled', 'cancelled', 'ignored'];
+
+const DEFAULT_RESOLUTIONS = {
+  pending: 'Awaiting a decision; the user was notified of the conflict',
+  forced: 'Scheduled anyway after the user confirmed',
+  rescheduled: 'Moved to a conflict-free time',
+  cancelled: 'Meeting was deleted',
+  ignored: 'Left unresolved'
+};
+
+// How many example records a history summary includes by default
+const DEFAULT_HISTORY_EXAMPLES = 5;
+
+const formatSlot = (meeting) => {
+  return `${new Date(meeting.startTime).toISOString()} - ${new Date(meeting.endTime).toISOString()}`;
+};
+
+const toPlain = (meeting) => (typeof meeting.toObject === 'function' ? meeting.toObject() : meeting);
+
+const snapshot = (meeting) => ({
+  meetingId: meeting._id ? String(meeting._id) : undefined,
+  title: meeting.title,
+  startTime: meeting.startTime,
+  endTime: meeting.endTime,
+  overlap: meeting.overlap
+});
+
+// Conflicts from checkTimeConflict already carry their overlap; others are measured against `meeting`
+const withOverlap = (meeting, conflict) => {
+  if (conflict.overlap) return conflict;
+  const window = { start: new Date(meeting.startTime), end: new Date(meeting.endTime) };
+  const other = { start: new Date(conflict.startTime), end: new Date(conflict.endTime) };
+  if (!(window.start < other.end && window.end > other.start)) return conflict;
+  return { ...toPlain(conflict), overlap: measureOverlap(window, other) };
+};
+
+// Records a clash between `meeting` (new or changed, possibly not saved yet) and the meetings it overlaps
+const recordConflict = async ({
+  calendarId,
+  meeting,
+  conflicts,
+  outcome = 'pending',
+  resolution,
+  intent = 'SCHEDULE_CONFLICT',
+  conflictType = 'calendar_conflict',
+  source,
+  sessionId,
+  recommendations,
+  metadata = {}
+}) => {
+  const measured = conflicts.map(c => withOverlap(meeting, c));
+  const involved = [meeting, ...measured];
+
+  return Conflict.create({
+    calendarId,
+    scenario: `"${meeting.title}" (${formatSlot(meeting)}) overlaps ` +
+      conflicts.map(c => `"${c.title}" (${formatSlot(c)})`).join(', '),
+    resolution: resolution || DEFAULT_RESOLUTIONS[outcome],
+    intent,
+    conflictType,
+    outcome,
+    severity: highestSeverity(measured),
+    meetingIds: involved.filter(m => m._id).map(m => String(m._id)),
+    meetings: involved.map(snapshot),
+    source,
+    sessionId,
+    resolvedAt: outcome === 'pending' ? undefined : new Date(),
+    recommendations,
+    metadata
+  });
+};
+
+// Marks one recorded conflict as handled; `meetingIds` adds meetings created while resolving it
+const resolveConflict = async (conflictId, outcome, resolution, meetingIds = []) => {
+  if (!conflictId) return null;
+
+  return Conflict.findByIdAndUpdate(conflictId, {
+    $set: {
+      outcome,
+      resolution: resolution || DEFAULT_RESOLUTIONS[outcome],
+      resolvedAt: new Date()
+    },
+    $addToSet: { meetingIds: { $each: meetingIds.filter(Boolean).map(String) } }
+  }, { new: true });
+};
+
+// Marks every pending conflict involving a meeting as handled (e.g. it was moved clear or deleted)
+const resolveMeetingConflicts = async (meetingId, outcome, resolution) => {
+  return Conflict.updateMany(
+    { meetingIds: String(meetingId), outcome: 'pending' },
+    {
+      $set: {
+        outcome,
+        resolution: resolution || DEFAULT_RESOLUTIONS[outcome],
+        resolvedAt: new Date()
+      }
+    }
+  );
+};
+
+// Most conflict records returned by one listConflicts call
+const MAX_LIST_LIMIT = 200;
+
+// Filters: type (conflictType), intent, outcome, severity, meetingId, startDate/endDate (detection time), limit.
+// Dates without an offset are read as wall time in `timeZone`. Returns { conflicts } or { error, status }.
+const listConflicts = async (calendarId, { type, intent, outcome, severity, meetingId, startDate, endDate, timeZone, limit = 50 } = {}) => {
+  const query = calendarScope(calendarId);
+
+  if (type) query.conflictType = type;
+  if (intent) query.intent = intent;
+  if (outcome) query.outcome = outcome;
+  if (severity) query.severity = severity;
+  if (meetingId) query.meetingIds = String(meetingId);
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = parseDateTime(startDate, timeZone);
+    if (endDate) query.createdAt.$lte = parseDateTime(endDate, timeZone);
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return { error: 'Invalid date format for startDate or endDate', status: 400 };
+    }
+  }
+
+  const pageSize = parseInt(limit);
+  if (isNaN(pageSize) || pageSize < 1) {
+    return { error: 'limit must be a positive number', status: 400 };
+  }
+
+  const conflicts = await Conflict.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(pageSize, MAX_LIST_LIMIT));
+  return { conflicts };
+};
+
+// { value: count } of a field over the matching records
+const countBy = async (query, field) => {
+  const groups = await Conflict.aggregate([
+    { $match: query },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+  return Object.fromEntries(groups.map(g => [g._id || 'unknown', g.count]));
+};
+
+// Summary statistics over the conflict log, for questions like "how many double-bookings did I have last month?".
+// startDate/endDate select conflicts involving a meeting that started in that range;
+// `search` matches meeting titles (e.g. "standup"). Returns { period, totals, byOutcome, ... }.
+const summarizeConflictHistory = async (calendarId, { startDate, endDate, outcome, type, severity, search, timeZone, limit = DEFAULT_HISTORY_EXAMPLES } = {}) => {
+  const query = calendarScope(calendarId);
+  if (outcome) query.outcome = outcome;
+  if (type) query.conflictType = type;
+  if (severity) query.severity = severity;
+
+  const range = {};
+  if (startDate) range.$gte = parseDateTime(startDate, timeZone);
+  if (endDate) range.$lte = parseDateTime(endDate, timeZone);
+  if ([range.$gte, range.$lte].some(d => d && isNaN(d.getTime()))) {
+    return { error: 'Invalid date format for startDate or endDate' };
+  }
+
+  const hasRange = Object.keys(range).length > 0;
+  const titlePattern = search ? new RegExp(escapeRegExp(search), 'i') : null;
+  if (hasRange || titlePattern) {
+    query.meetings = {
+      $elemMatch: {
+        ...(hasRange && { startTime: range }),
+        ...(titlePattern && { title: titlePattern })
+      }
+    };
+  }
+
+  const [total, byOutcome, byType, bySource, bySeverity, frequentMeetings, recent] = await Promise.all([
+    Conflict.countDocuments(query),
+    countBy(query, 'outcome'),
+    countBy(query, 'conflictType'),
+    countBy(query, 'source'),
+    countBy(query, 'severity'),
+    Conflict.aggregate([
+      { $match: query },
+      { $unwind: '$meetings' },
+      { $group: { _id: { $toLower: '$meetings.title' }, title: { $first: '$meetings.title' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 5 }
+    ]),
+    Conflict.find(query).sort({ createdAt: -1 }).limit(parseInt(limit))
+  ]);
+
+  // Stored meetings in the same period, for context ("3 of 40 meetings clashed")
+  const meetingQuery = calendarScope(calendarId);
+  if (hasRange) meetingQuery.startTime = range;
+  if (titlePattern) meetingQuery.title = titlePattern;
+  const [meetingCount, conflictedMeetingCount] = await Promise.all([
+    Meeting.countDocuments(meetingQuery),
+    Meeting.countDocuments({ ...meetingQuery, hasConflict: true })
+  ]);
+
+  return {
+    period: { startDate: range.$gte, endDate: range.$lte },
+    search,
+    totals: {
+      conflicts: total,
+      unresolved: byOutcome.pending || 0,
+      meetings: meetingCount,
+      meetingsWithConflicts: conflictedMeetingCount
+    },
+    byOutcome,
+    byType,
+    bySource,
+    bySeverity,
+    frequentMeetings: frequentMeetings.map(m => ({ title: m.title, conflicts: m.count })),
+    recent: recent.map(c => ({
+      id: c._id,
+      detectedAt: c.createdAt,
+      scenario: c.scenario,
+      severity: c.severity,
+      outcome: c.outcome,
+      resolution: c.resolution,
+      resolvedAt: c.resolvedAt
+    }))
+  };
+};
+
+// One recorded conflict, or null if it does not exist in the calendar
+const getConflict = async (calendarId, conflictId) => {
+  if (!mongoose.isValidObjectId(conflictId)) return null;
+  return Conflict.findOne({ _id: conflictId, ...calendarScope(calendarId) });
+};
+
+module.exports = {
+  OUTCOMES,
+  recordConflict,
+  resolveConflict,
+  resolveMeetingConflicts,
+  listConflicts,
+  getConflict,
+  summarizeConflictHistory
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../models/CalendarFeed');
+const { DEFAULT_CALENDAR_ID } = require('./meetings');
+const { buildCalendar, findMeetingsForExport, getSeriesUids } = require('./ics');
+
+// Read-only .ics feeds that calendar apps (Apple Calendar, Outlook, Google) subscribe to.
+// Each calendar has at most one feed token; creating a new one revokes the old URL.
+
+// How far back a feed reaches; later meetings are always included
+const FEED_HISTORY_DAYS = Number(process.env.FEED_HISTORY_DAYS) || 90;
+
+// How often subscribers are asked to poll
+const FEED_REFRESH_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeCalendarId = (calendarId) => calendarId || DEFAULT_CALENDAR_ID;
+
+const matchesToken = (feed, token) => {
+  if (!feed || !token) return false;
+  const expected = Buffer.from(feed.tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// The API has no user accounts, so whoever holds a calendar's current feed token is treated as its owner:
+// replacing or disabling an existing feed needs that token, or FEED_ADMIN_KEY (for a lost token).
+// `credentials` is { token, adminKey }. Returns an error message, or null when the caller may manage the feed.
+const checkFeedOwner = (feed, { token, adminKey } = {}) => {
+  if (!feed) return null;
+  if (matchesToken(feed, token)) return null;
+  if (process.env.FEED_ADMIN_KEY && adminKey === process.env.FEED_ADMIN_KEY) return null;
+  return 'This calendar already has a feed: send its current token to replace or disable it';
+};
+
+// Creates (or replaces) the calendar's feed token. The token is only returned here, never stored.
+// Returns { token } or { error, status }.
+const createFeedToken = async (calendarId, credentials) => {
+  const existing = await CalendarFeed.findOne({ calendarId: normalizeCalendarId(calendarId) });
+  const denied = checkFeedOwner(existing, credentials);
+  if (denied) return { error: denied, status: 403 };
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  await CalendarFeed.findOneAndUpdate(
+    { calendarId: normalizeCalendarId(calendarId) },
+    { $set: { tokenHash: hashToken(token) }, $unset: { lastFetchedAt: 1 } },
+    { upsert: true }
+  );
+  return { token };
+};
+
+// Disables the calendar's feed. Returns { revoked: true } or { error, status }.
+const revokeFeedToken = async (calendarId, credentials) => {
+  const existing = await CalendarFeed.findOne({ calendarId: normalizeCalendarId(calendarId) });
+  if (!existing) return { error: 'This calendar has no feed', status: 404 };
+
+  const denied = checkFeedOwner(existing, credentials);
+  if (denied) return { error: denied, status: 403 };
+
+  await CalendarFeed.deleteOne({ _id: existing._id });
+  return { revoked: true };
+};
+
+const verifyFeedToken = async (calendarId, token) => {
+  if (!token) return false;
+  const feed = await CalendarFeed.findOne({ calendarId: normalizeCalendarId(calendarId) });
+  if (!matchesToken(feed, token)) return false;
+
+  await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastFetchedAt: new Date() } });
+  return true;
+};
+
+// Whether an If-None-Match header lists the current ETag (weak or strong), so a 304 can be sent.
+// Compared directly rather than with req.fresh, which ignores If-None-Match on "Cache-Control: no-cache" requests.
+const matchesETag = (ifNoneMatch, etag) => {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+};
+
+// The feed body and its ETag. The output only changes when the meetings do (DTSTAMP is the latest
+// change rather than the request time), so the ETag lets subscribers skip unchanged feeds.
+// Meetings with hasConflict are marked in their description and with a "Conflict" category.
+const buildFeed = async (calendarId) => {
+  const rangeStart = new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS);
+  const meetings = await findMeetingsForExport(calendarId, rangeStart, null);
+  const seriesUids = await getSeriesUids(meetings);
+
+  const lastChange = Math.max(0, ...meetings.map(m => new Date(m.updatedAt || 0).getTime()));
+  const ics = buildCalendar(meetings, {
+    name: normalizeCalendarId(calendarId),
+    seriesUids,
+    stamp: new Date(lastChange),
+    markConflicts: true,
+    refreshMinutes: FEED_REFRESH_MINUTES
+  });
+
+  return {
+    ics,
+    etag: `"${crypto.createHash('sha1').update(ics).digest('base64url')}"`,
+    count: meetings.length
+  };
+};
+
+module.exports = {
+  FEED_REFRESH_MINUTES,
+  createFeedToken,
+  revokeFeedToken,
+  verifyFeedToken,
+  matchesETag,
+  buildFeed
+};
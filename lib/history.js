@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const MeetingChange = require('../models/MeetingChange');
+const { calendarScope } = require('./meetings');
+const { parseOccurrenceId } = require('./recurrence');
+const { refreshMeetingConflicts, removeConflictLinks } = require('./conflictLinks');
+
+// Change history of meetings. Every write goes through a change set, which records one versioned
+// MeetingChange per meeting with the before/after values of the fields it changed. Deleting only sets
+// deletedAt, so the last change of a calendar, session or meeting can be undone.
+
+// Fields recorded and restored; conflict flags are derived and recomputed instead
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'startTime',
+  'endTime',
+  'timeZone',
+  'allDay',
+  'organizer',
+  'attendees',
+  'location',
+  'priority',
+  'movable',
+  'required',
+  'recurrence',
+  'seriesId',
+  'originalStartTime',
+  'icalUid'
+];
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  restore: 'restored'
+};
+
+// Tracked values of a meeting (unset fields as null, so an undo can clear them again)
+const snapshot = (values = {}) => ({
+  ...Object.fromEntries(TRACKED_FIELDS.map(field => [field, values[field] ?? null])),
+  recurrence: values.recurrence?.rrule ? values.recurrence : null
+});
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// { before, after } with only the fields that differ, or null when nothing changed
+const diffSnapshots = (before, after) => {
+  const fields = TRACKED_FIELDS.filter(field => !isSame(before[field], after[field]));
+  if (fields.length === 0) return null;
+  return {
+    before: Object.fromEntries(fields.map(field => [field, before[field]])),
+    after: Object.fromEntries(fields.map(field => [field, after[field]]))
+  };
+};
+
+// Only the fields a new meeting actually sets
+const withoutEmpty = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null));
+
+// Records the meetings written by one request as one change. `context` ({ source, sessionId, metadata })
+// says who made it. Returns { changeId, entries, save, remove, restore }.
+const createChangeSet = (calendarId, { source, sessionId, metadata, undoOf } = {}) => {
+  const changeId = crypto.randomUUID();
+  const entries = [];
+
+  const record = async (meeting, action, before, after) => {
+    const last = await MeetingChange.findOne({ meetingId: meeting._id }).sort({ version: -1 }).select('version');
+    const entry = await MeetingChange.create({
+      calendarId: meeting.calendarId || calendarId,
+      changeId,
+      meetingId: meeting._id,
+      version: (last?.version || 0) + 1,
+      action,
+      title: meeting.title,
+      before,
+      after,
+      source,
+      sessionId,
+      metadata,
+      undoOf
+    });
+    entries.push(entry);
+    meeting.$locals.stored = meeting.toObject();
+  };
+
+  return {
+    changeId,
+    entries,
+
+    // Saves a new or changed meeting document, recording the fields that changed
+    save: async (meeting) => {
+      const isNew = meeting.isNew;
+      const before = snapshot(meeting.$locals.stored);
+      await meeting.save();
+      const after = snapshot(meeting.toObject());
+
+      if (isNew) return record(meeting, 'create', undefined, withoutEmpty(after));
+      const diff = diffSnapshots(before, after);
+      if (diff) await record(meeting, 'update', diff.before, diff.after);
+    },
+
+    // Soft-deletes a meeting document
+    remove: async (meeting) => {
+      meeting.deletedAt = new Date();
+      await meeting.save();
+      await record(meeting, 'delete', withoutEmpty(snapshot(meeting.toObject())), undefined);
+    },
+
+    // Brings back a soft-deleted meeting document
+    restore: async (meeting) => {
+      meeting.deletedAt = undefined;
+      await meeting.save();
+      await record(meeting, 'restore', undefined, withoutEmpty(snapshot(meeting.toObject())));
+    }
+  };
+};
+
+// The change set of the request: context.changeSet when an outer operation already started one
+// (e.g. a resolution that moves one meeting and creates another), a new one otherwise
+const getChangeSet = (calendarId, context = {}) => context.changeSet || createChangeSet(calendarId, context);
+
+const formatEntry = (entry) => ({
+  version: entry.version,
+  changeId: entry.changeId,
+  meetingId: entry.meetingId,
+  action: entry.action,
+  title: entry.title,
+  changedFields: Object.keys(entry.after || entry.before || {}),
+  before: entry.before,
+  after: entry.after,
+  source: entry.source,
+  sessionId: entry.sessionId,
+  changedAt: entry.createdAt,
+  undoneAt: entry.undoneAt,
+  undoOf: entry.undoOf
+});
+
+// One line per meeting, e.g. 'updated "Standup" (startTime, endTime)'
+const describeEntries = (entries) => entries.map(entry => {
+  const fields = entry.action === 'update' ? ` (${Object.keys(entry.after || {}).join(', ')})` : '';
+  return `${ACTION_LABELS[entry.action]} "${entry.title}"${fields}`;
+});
+
+// The stored meeting an ID refers to: occurrence IDs share the history of their series
+const getStoredMeetingId = (id) => {
+  const occurrenceRef = parseOccurrenceId(id);
+  const meetingId = occurrenceRef ? occurrenceRef.seriesId : id;
+  return mongoose.isValidObjectId(meetingId) ? String(meetingId) : null;
+};
+
+// Change entries of a meeting (deleted ones too), newest first.
+// Returns { meeting, history } or { error, status }.
+const getMeetingHistory = async (calendarId, id) => {
+  const meetingId = getStoredMeetingId(id);
+  const meeting = meetingId
+    ? await Meeting.findOne({ _id: meetingId, ...calendarScope(calendarId) }).setOptions({ withDeleted: true })
+    : null;
+  if (!meeting) {
+    return { error: 'Meeting not found', status: 404 };
+  }
+
+  const history = await MeetingChange.find({ meetingId }).sort({ version: -1 }).lean();
+  return { meeting, history: history.map(formatEntry) };
+};
+
+// The latest change of a calendar that was not undone yet, narrowed to one meeting, one session and/or one changeId,
+// with its entries (latest first). A change can only be undone while every later change of the meetings it touched
+// has been undone too. Returns { last, entries } or { error, status }.
+const findUndoableChange = async (calendarId, { meetingId, sessionId, changeId } = {}) => {
+  const query = { ...calendarScope(calendarId), undoneAt: null, undoOf: null };
+  if (meetingId) {
+    query.meetingId = getStoredMeetingId(meetingId);
+    if (!query.meetingId) return { error: 'Meeting not found', status: 404 };
+  }
+  if (sessionId) query.sessionId = sessionId;
+  if (changeId) query.changeId = changeId;
+
+  const last = await MeetingChange.findOne(query).sort({ createdAt: -1, _id: -1 });
+  if (!last) {
+    return { error: 'There is no change to undo', status: 404 };
+  }
+
+  // Latest entry first, so a meeting written twice in the change ends up as it was before it
+  const entries = await MeetingChange.find({ changeId: last.changeId }).sort({ _id: -1 });
+  for (const entry of entries) {
+    const later = await MeetingChange.findOne({
+      meetingId: entry.meetingId,
+      changeId: { $ne: entry.changeId },
+      version: { $gt: entry.version },
+      undoneAt: null,
+      undoOf: null
+    });
+    if (later) {
+      return { error: `"${entry.title}" was changed again since; undo that change first`, status: 409 };
+    }
+  }
+
+  return { last, entries };
+};
+
+const describeChange = (last, entries) => ({
+  changeId: last.changeId,
+  description: describeEntries([...entries].reverse()).join('; '),
+  entries: entries.map(formatEntry)
+});
+
+// What undoLastChange would revert, without changing anything.
+// Returns { change: { changeId, description, entries } } or { error, status }.
+const previewUndo = async (calendarId, filter = {}) => {
+  const found = await findUndoableChange(calendarId, filter);
+  if (found.error) return found;
+  return { change: describeChange(found.last, found.entries) };
+};
+
+// Reverts the latest change of a calendar that was not undone yet (see findUndoableChange for `filter`).
+// Undoing creates new change entries (with undoOf), so history keeps both. `context` says who undoes it.
+// Returns { change: { changeId, description, entries }, meetings } or { error, status }.
+const undoLastChange = async (calendarId, filter = {}, context = {}) => {
+  const found = await findUndoableChange(calendarId, filter);
+  if (found.error) return found;
+  const { last, entries } = found;
+
+  const changeSet = createChangeSet(calendarId, { ...context, undoOf: last.changeId });
+  const meetings = new Map();
+  for (const entry of entries) {
+    const id = String(entry.meetingId);
+    const meeting = meetings.get(id) || await Meeting.findById(id).setOptions({ withDeleted: true });
+    if (!meeting) continue;
+    meetings.set(id, meeting);
+
+    if (entry.action === 'create' || entry.action === 'restore') {
+      await changeSet.remove(meeting);
+    } else if (entry.action === 'delete') {
+      await changeSet.restore(meeting);
+    } else {
+      for (const [field, value] of Object.entries(entry.before || {})) {
+        meeting.set(field, value ?? undefined);
+      }
+      await changeSet.save(meeting);
+    }
+  }
+  await MeetingChange.updateMany({ changeId: last.changeId }, { $set: { undoneAt: new Date() } });
+
+  // Conflict flags follow the restored schedule, on both sides of every clash
+  for (const meeting of meetings.values()) {
+    if (meeting.deletedAt) {
+      await removeConflictLinks([meeting._id]);
+    } else {
+      await refreshMeetingConflicts(meeting);
+    }
+  }
+
+  return {
+    change: describeChange(last, entries),
+    meetings: [...meetings.values()].filter(m => !m.deletedAt)
+  };
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  createChangeSet,
+  getChangeSet,
+  getMeetingHistory,
+  previewUndo,
+  undoLastChange
+};
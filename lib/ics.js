@@ -0,0 +1,669 @@
+const Meeting = require('../models/Meeting');
+const { calendarScope, normalizeAttendees, isRecurring, flagConflicts, checkTimeConflict } = require('./meetings');
+const { recordConflict } = require('./conflicts');
+const { syncConflictLinks, refreshMeetingConflicts, removeConflictLinks } = require('./conflictLinks');
+const { createChangeSet } = require('./history');
+const { normalizeRecurrence, formatICalDate, parseICalDate } = require('./recurrence');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toWallTime,
+  fromWallTime,
+  shiftWallTime,
+  getTimeZoneOffset,
+  getTimeZoneTransitions,
+  parseDateTime
+} = require('./timezone');
+
+// iCalendar (RFC 5545) export and import of meetings
+
+const PRODUCT_ID = '-//Calendar Manager//Calendar Manager API//EN';
+
+// Meetings created here have no UID of their own; they are exported as <meetingId>@calendar-manager
+const UID_DOMAIN = 'calendar-manager';
+const LOCAL_UID_PATTERN = /^([a-f0-9]{24})@calendar-manager$/i;
+
+// Category (and description note) of meetings flagged with hasConflict, when conflicts are marked
+const CONFLICT_CATEGORY = 'Conflict';
+const CONFLICT_NOTE = '⚠️ This meeting conflicts with another meeting in the calendar.';
+
+// Longest content line in octets before it is folded
+const MAX_LINE_OCTETS = 75;
+
+// VTIMEZONE definitions cover this many years at most
+const MAX_TIME_ZONE_YEARS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+const pad = (n, width = 2) => String(Math.abs(n)).padStart(width, '0');
+
+// ---- Writing ----
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values containing : ; or , must be quoted (and cannot contain quotes)
+const formatParam = (value) => {
+  const text = String(value).replace(/"/g, '');
+  return /[:;,]/.test(text) ? `"${text}"` : text;
+};
+
+// Splits long lines into 75-octet chunks, never inside a multi-byte character
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// 20251205T090000 from a wall time
+const formatWallTime = (wallTime) => {
+  const wall = new Date(wallTime);
+  return `${wall.getUTCFullYear()}${pad(wall.getUTCMonth() + 1)}${pad(wall.getUTCDate())}` +
+    `T${pad(wall.getUTCHours())}${pad(wall.getUTCMinutes())}${pad(wall.getUTCSeconds())}`;
+};
+
+// +0530
+const formatOffset = (offsetMs) => {
+  const minutes = Math.round(offsetMs / 60000);
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+};
+
+// DTSTART/DTEND/EXDATE/RECURRENCE-ID: a date for all-day meetings, local time with TZID for zoned ones, UTC otherwise
+const formatDateProperty = (name, dates, meeting) => {
+  const list = [].concat(dates);
+  const timeZone = meeting.timeZone;
+
+  if (meeting.allDay) {
+    const zone = timeZone || 'UTC';
+    return `${name};VALUE=DATE:${list.map(d => formatWallTime(toWallTime(d, zone)).slice(0, 8)).join(',')}`;
+  }
+  if (timeZone && timeZone !== 'UTC') {
+    return `${name};TZID=${formatParam(timeZone)}:${list.map(d => formatWallTime(toWallTime(d, timeZone))).join(',')}`;
+  }
+  return `${name}:${list.map(d => formatICalDate(new Date(d))).join(',')}`;
+};
+
+// RFC 5545 wants UNTIL in the value type of DTSTART, so an all-day series ends on a local date
+const formatRRuleProperty = (meeting) => {
+  const { rrule } = meeting.recurrence;
+  if (!meeting.allDay) return `RRULE:${rrule}`;
+
+  const zone = meeting.timeZone || 'UTC';
+  return `RRULE:${rrule.replace(/UNTIL=(\w+)/i, (match, value) => {
+    const until = parseICalDate(value.toUpperCase());
+    return until ? `UNTIL=${formatWallTime(toWallTime(until, zone)).slice(0, 8)}` : match;
+  })}`;
+};
+
+// ORGANIZER/ATTENDEE: emails become mailto: addresses, plain names a CN without an address
+const formatAddress = (name, person) => {
+  const value = String(person).trim();
+  return /^[^@\s]+@[^@\s]+$/.test(value)
+    ? `${name}:mailto:${value}`
+    : `${name};CN=${formatParam(value)}:invalid:nomail`;
+};
+
+const getUid = (meeting) => meeting.icalUid || `${meeting._id}@${UID_DOMAIN}`;
+
+// One VEVENT; `seriesUid` is set for a detached occurrence, which shares its series' UID
+const buildEvent = (meeting, { seriesUid, stamp, markConflicts }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${seriesUid || getUid(meeting)}`,
+    `DTSTAMP:${formatICalDate(stamp)}`,
+    formatDateProperty('DTSTART', meeting.startTime, meeting),
+    formatDateProperty('DTEND', meeting.endTime, meeting)
+  ];
+
+  if (seriesUid) {
+    lines.push(formatDateProperty('RECURRENCE-ID', meeting.originalStartTime, meeting));
+  }
+  if (isRecurring(meeting)) {
+    lines.push(formatRRuleProperty(meeting));
+    if (meeting.recurrence.exdates?.length > 0) {
+      lines.push(formatDateProperty('EXDATE', meeting.recurrence.exdates, meeting));
+    }
+  }
+
+  const flagged = markConflicts && meeting.hasConflict;
+  const description = [flagged && CONFLICT_NOTE, meeting.description].filter(Boolean).join('\n\n');
+
+  lines.push(`SUMMARY:${escapeText(meeting.title)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (flagged) lines.push(`CATEGORIES:${CONFLICT_CATEGORY}`);
+  if (meeting.location) lines.push(`LOCATION:${escapeText(meeting.location)}`);
+  if (meeting.organizer) lines.push(formatAddress('ORGANIZER', meeting.organizer));
+  for (const attendee of meeting.attendees || []) {
+    lines.push(formatAddress('ATTENDEE', attendee));
+  }
+  if (meeting.createdAt) lines.push(`CREATED:${formatICalDate(new Date(meeting.createdAt))}`);
+  if (meeting.updatedAt) lines.push(`LAST-MODIFIED:${formatICalDate(new Date(meeting.updatedAt))}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// VTIMEZONE with every offset change between `from` and `to`, so clients need no tz database of their own
+const buildTimeZone = (timeZone, from, to) => {
+  const observance = (offsetFrom, offsetTo, start) => {
+    const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${start}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${kind}`
+    ];
+  };
+
+  const initial = getTimeZoneOffset(from, timeZone);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  // The offset in effect before the first change
+  lines.push(...observance(initial, initial, '19700101T000000'));
+  for (const transition of getTimeZoneTransitions(timeZone, from, to)) {
+    const localStart = transition.at.getTime() + transition.offsetFrom;
+    lines.push(...observance(transition.offsetFrom, transition.offsetTo, formatWallTime(localStart)));
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// Years a zone's VTIMEZONE has to cover for the meetings using it
+const getTimeZoneRange = (meetings) => {
+  const starts = meetings.map(m => new Date(m.startTime).getTime());
+  const ends = meetings.map(m => new Date(isRecurring(m) ? (m.recurrenceEnd || Date.now() + YEAR_MS) : m.endTime).getTime());
+
+  const first = new Date(Math.min(...starts));
+  const from = new Date(Date.UTC(first.getUTCFullYear(), 0, 1));
+  const last = Math.min(Math.max(...ends, Date.now()) + YEAR_MS, from.getTime() + MAX_TIME_ZONE_YEARS * YEAR_MS);
+  return { from, to: new Date(last) };
+};
+
+// A complete VCALENDAR for stored meetings (series masters carry their RRULE/EXDATEs; detached
+// occurrences become RECURRENCE-ID overrides). `name` is shown by clients as the calendar name;
+// `markConflicts` flags meetings with hasConflict, `refreshMinutes` tells subscribers how often to poll.
+const buildCalendar = (meetings, { name, seriesUids = new Map(), stamp = new Date(), markConflicts = false, refreshMinutes } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  const zones = new Map();
+  for (const meeting of meetings) {
+    if (!meeting.timeZone || meeting.timeZone === 'UTC' || meeting.allDay) continue;
+    zones.set(meeting.timeZone, [...(zones.get(meeting.timeZone) || []), meeting]);
+  }
+  for (const [timeZone, zoneMeetings] of zones) {
+    const { from, to } = getTimeZoneRange(zoneMeetings);
+    lines.push(...buildTimeZone(timeZone, from, to));
+  }
+
+  for (const meeting of meetings) {
+    const seriesUid = meeting.seriesId ? seriesUids.get(String(meeting.seriesId)) : undefined;
+    lines.push(...buildEvent(meeting, { seriesUid, stamp, markConflicts }));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// UIDs of the series that detached occurrences belong to
+const getSeriesUids = async (meetings) => {
+  const seriesIds = [...new Set(meetings.filter(m => m.seriesId).map(m => String(m.seriesId)))];
+  if (seriesIds.length === 0) return new Map();
+
+  const series = await Meeting.find({ _id: { $in: seriesIds } }, { icalUid: 1 });
+  return new Map([
+    ...seriesIds.map(id => [id, `${id}@${UID_DOMAIN}`]),
+    ...series.map(s => [String(s._id), getUid(s)])
+  ]);
+};
+
+// Stored meetings (not expanded occurrences) overlapping an optional date range
+const findMeetingsForExport = async (calendarId, rangeStart, rangeEnd) => {
+  const query = calendarScope(calendarId);
+
+  if (rangeStart || rangeEnd) {
+    const single = { 'recurrence.rrule': null };
+    const series = { 'recurrence.rrule': { $ne: null } };
+    if (rangeEnd) {
+      single.startTime = { $lt: rangeEnd };
+      series.startTime = { $lt: rangeEnd };
+    }
+    if (rangeStart) {
+      single.endTime = { $gt: rangeStart };
+      series.$or = [{ recurrenceEnd: null }, { recurrenceEnd: { $gt: rangeStart } }];
+    }
+    query.$or = [single, series];
+  }
+
+  return Meeting.find(query).sort({ startTime: 1 });
+};
+
+// The calendar's meetings as an .ics file. startDate/endDate without an offset are read in `timeZone`.
+// Returns { ics, count } or { error }.
+const exportMeetings = async (calendarId, { startDate, endDate, timeZone } = {}) => {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return { error: `Invalid time zone: ${timeZone}` };
+  }
+
+  const rangeStart = startDate ? parseDateTime(startDate, timeZone) : null;
+  const rangeEnd = endDate ? parseDateTime(endDate, timeZone) : null;
+  if ([rangeStart, rangeEnd].some(d => d && isNaN(d.getTime()))) {
+    return { error: 'Invalid date format for startDate or endDate' };
+  }
+
+  const meetings = await findMeetingsForExport(calendarId, rangeStart, rangeEnd);
+  const seriesUids = await getSeriesUids(meetings);
+
+  return {
+    ics: buildCalendar(meetings, { name: calendarId, seriesUids }),
+    count: meetings.length
+  };
+};
+
+// ---- Reading ----
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// NAME;PARAM=value;PARAM="quoted:value":value -> { name, params, value }
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+  if (!name) return null;
+
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+};
+
+// TZIDs are usually IANA names, sometimes with a vendor prefix ("/mozilla.org/20070129_1/Europe/Berlin")
+const resolveTzid = (tzid) => {
+  if (!tzid) return null;
+  const segments = tzid.split('/').filter(Boolean);
+  for (let i = 0; i < segments.length; i++) {
+    const candidate = segments.slice(i).join('/');
+    if (isValidTimeZone(candidate)) return candidate;
+  }
+  return null;
+};
+
+// An all-day series' UNTIL date includes that whole local day
+const readAllDayUntil = (rrule, timeZone) =>
+  rrule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?=;|$)/i, (match, year, month, day) =>
+    `UNTIL=${formatICalDate(fromWallTime(Date.UTC(+year, +month - 1, +day, 23, 59, 59), timeZone))}`);
+
+// One date or date-time value -> { date, allDay, utc, timeZone } (date is null when unparseable)
+const parseDateValue = (value, params, fallbackZone) => {
+  const text = value.trim();
+  const tzid = resolveTzid(params.TZID);
+
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+  if (dateOnly) {
+    const zone = tzid || fallbackZone;
+    const [, year, month, day] = dateOnly.map(Number);
+    return { date: fromWallTime(Date.UTC(year, month - 1, day), zone), allDay: true, utc: false, timeZone: zone };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(text);
+  if (!match) return { date: null };
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (match[7]) {
+    return { date: new Date(wallTime), allDay: false, utc: true, timeZone: null };
+  }
+
+  // Floating times (no TZID, no Z) are read in the importer's zone
+  const zone = tzid || fallbackZone;
+  return { date: fromWallTime(wallTime, zone), allDay: false, utc: false, timeZone: zone, unknownTzid: !!params.TZID && !tzid };
+};
+
+// P1D, PT1H30M, P1W -> { days, ms }
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const sign = match[1] === '-' ? -1 : 1;
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(n => Number(n || 0));
+  return {
+    days: sign * (weeks * 7 + days),
+    ms: sign * ((hours * 60 + minutes) * 60 + seconds) * 1000
+  };
+};
+
+// mailto:jane@example.com -> jane@example.com; addresses without an email fall back to CN
+const parseAddress = (property) => {
+  const value = property.value.trim();
+  if (/^mailto:/i.test(value)) return value.slice(7);
+  return property.params.CN || value;
+};
+
+// WKST only changes weekly rules with an INTERVAL above 1, but Google adds WKST=SU to every rule
+const dropIneffectiveWkst = (rrule) => {
+  return /INTERVAL=(?!1(?:;|$))\d+/i.test(rrule) ? rrule : rrule.replace(/;?WKST=[A-Z]{2}/i, '');
+};
+
+// Turns one VEVENT's properties into meeting fields, or { uid, title, error }
+const parseEvent = (props, fallbackZone) => {
+  const first = (name) => props[name]?.[0];
+  const uid = first('UID')?.value.trim();
+  const title = first('SUMMARY') ? unescapeText(first('SUMMARY').value).trim() : '';
+  const fail = (error) => ({ uid, title, error });
+
+  if (!uid) return fail('Missing UID');
+  if (!first('DTSTART')) return fail('Missing DTSTART');
+
+  const start = parseDateValue(first('DTSTART').value, first('DTSTART').params, fallbackZone);
+  if (!start.date) return fail(`Invalid DTSTART "${first('DTSTART').value}"`);
+
+  let endTime;
+  if (first('DTEND')) {
+    const end = parseDateValue(first('DTEND').value, first('DTEND').params, start.timeZone || fallbackZone);
+    if (!end.date) return fail(`Invalid DTEND "${first('DTEND').value}"`);
+    endTime = end.date;
+  } else if (first('DURATION')) {
+    const duration = parseDuration(first('DURATION').value);
+    if (!duration) return fail(`Invalid DURATION "${first('DURATION').value}"`);
+    endTime = new Date(shiftWallTime(start.date, duration.days * DAY_MS, start.timeZone || 'UTC').getTime() + duration.ms);
+  } else if (start.allDay) {
+    endTime = shiftWallTime(start.date, DAY_MS, start.timeZone);
+  } else {
+    return fail('Missing DTEND or DURATION');
+  }
+  if (endTime <= start.date) return fail('DTEND must be after DTSTART');
+
+  let recurrence = null;
+  if (first('RRULE')) {
+    const exdates = (props.EXDATE || []).flatMap(p =>
+      p.value.split(',').map(v => parseDateValue(v, p.params, start.timeZone || fallbackZone).date)
+    );
+    if (exdates.includes(null)) return fail('Invalid EXDATE');
+    try {
+      const rrule = start.allDay ? readAllDayUntil(first('RRULE').value, start.timeZone || 'UTC') : first('RRULE').value;
+      recurrence = normalizeRecurrence(dropIneffectiveWkst(rrule), exdates);
+    } catch (error) {
+      return fail(error.message);
+    }
+  }
+
+  let recurrenceId = null;
+  if (first('RECURRENCE-ID')) {
+    recurrenceId = parseDateValue(first('RECURRENCE-ID').value, first('RECURRENCE-ID').params, start.timeZone || fallbackZone).date;
+    if (!recurrenceId) return fail('Invalid RECURRENCE-ID');
+  }
+
+  // UTC series repeat in UTC; other UTC times are shown (and later edited) in the importer's zone
+  const timeZone = start.utc ? (recurrence ? 'UTC' : fallbackZone) : start.timeZone;
+
+  return {
+    uid,
+    title: title || '(No title)',
+    description: first('DESCRIPTION') ? unescapeText(first('DESCRIPTION').value) : undefined,
+    location: first('LOCATION') ? unescapeText(first('LOCATION').value) : undefined,
+    organizer: first('ORGANIZER') ? parseAddress(first('ORGANIZER')) : undefined,
+    attendees: normalizeAttendees((props.ATTENDEE || []).map(parseAddress)),
+    startTime: start.date,
+    endTime,
+    timeZone,
+    allDay: start.allDay,
+    recurrence,
+    recurrenceId,
+    cancelled: first('STATUS')?.value.trim().toUpperCase() === 'CANCELLED',
+    warning: start.unknownTzid ? `Unknown TZID "${first('DTSTART').params.TZID}", read as ${fallbackZone}` : undefined
+  };
+};
+
+// Parses an .ics file. Times without a zone are read in X-WR-TIMEZONE, then `timeZone`.
+// Returns { events } (each event is meeting fields or { uid, title, error }) or { error }.
+const parseICalendar = (text, timeZone = DEFAULT_TIME_ZONE) => {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim());
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() || '')) {
+    return { error: 'Not an iCalendar file (expected BEGIN:VCALENDAR)' };
+  }
+
+  const stack = [];
+  const rawEvents = [];
+  let calendarZone = null;
+  let current = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.trim().toUpperCase());
+      if (stack[stack.length - 1] === 'VEVENT') current = {};
+      continue;
+    }
+    if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT') {
+        rawEvents.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+    if (component === 'VCALENDAR' && property.name === 'X-WR-TIMEZONE') {
+      calendarZone = resolveTzid(property.value.trim());
+    }
+    // Properties of nested components (e.g. VALARM) do not belong to the event
+    if (component === 'VEVENT' && current) {
+      current[property.name] = [...(current[property.name] || []), property];
+    }
+  }
+
+  const fallbackZone = calendarZone || timeZone;
+  return { events: rawEvents.map(props => parseEvent(props, fallbackZone)) };
+};
+
+const describe = (meeting) => ({
+  id: meeting._id,
+  title: meeting.title,
+  startTime: meeting.startTime,
+  endTime: meeting.endTime
+});
+
+const applyEvent = (meeting, event) => {
+  meeting.title = event.title;
+  meeting.description = event.description;
+  meeting.location = event.location;
+  meeting.organizer = event.organizer;
+  meeting.attendees = event.attendees;
+  meeting.startTime = event.startTime;
+  meeting.endTime = event.endTime;
+  meeting.timeZone = event.timeZone;
+  meeting.allDay = event.allDay;
+};
+
+// The stored series or one-off meeting an imported UID refers to. Our own exports use the meeting ID,
+// which only matches in the calendar it came from; a copy imported elsewhere keeps the UID as icalUid.
+const findByUid = async (calendarId, uid) => {
+  const local = LOCAL_UID_PATTERN.exec(uid);
+  const byUid = { icalUid: uid, seriesId: null };
+  const query = local ? { $or: [{ _id: local[1] }, byUid] } : byUid;
+  return Meeting.findOne({ ...query, ...calendarScope(calendarId) });
+};
+
+const addExdate = (series, date) => {
+  if (!series.recurrence.exdates.some(d => d.getTime() === date.getTime())) {
+    series.recurrence.exdates.push(date);
+  }
+};
+
+// Imports an .ics file into a calendar, upserting events by UID: a UID seen before updates that meeting,
+// RECURRENCE-ID events become detached occurrences of their series and cancelled occurrences are excluded.
+// Every imported meeting is then checked with checkTimeConflict; clashes are flagged on both sides and logged (source 'import').
+// The whole import is recorded as one change in the meeting history, so it can be undone at once.
+// Returns { created, updated, skipped, conflicts, changeId } or { error, status }.
+const importMeetings = async (calendarId, text, { timeZone } = {}) => {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return { error: `Invalid time zone: ${timeZone}`, status: 400 };
+  }
+
+  const parsed = parseICalendar(text, timeZone || DEFAULT_TIME_ZONE);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+  if (parsed.events.length === 0) return { error: 'The calendar has no events (VEVENT)', status: 400 };
+
+  const changeSet = createChangeSet(calendarId, { source: 'import' });
+  const created = [];
+  const updated = [];
+  const skipped = [];
+  const imported = [];
+  // Existing series that lost occurrences to overrides in the file
+  const changedSeries = new Map();
+  const report = (list, event, meeting, extra = {}) => {
+    list.push({ uid: event.uid, meetingId: meeting._id, title: meeting.title, warning: event.warning, ...extra });
+  };
+
+  // Series first, so the occurrence overrides that follow can find them
+  const events = [...parsed.events.filter(e => !e.recurrenceId), ...parsed.events.filter(e => e.recurrenceId)];
+
+  for (const event of events) {
+    if (event.error) {
+      skipped.push({ uid: event.uid, title: event.title, reason: event.error });
+      continue;
+    }
+
+    if (!event.recurrenceId) {
+      const existing = await findByUid(calendarId, event.uid);
+      if (event.cancelled) {
+        skipped.push({ uid: event.uid, title: event.title, reason: 'Event is cancelled' });
+        continue;
+      }
+
+      const meeting = existing || new Meeting({ calendarId, icalUid: event.uid });
+      applyEvent(meeting, event);
+      if (event.recurrence) {
+        // Keep exclusions made here as well, e.g. for occurrences detached since the export
+        const exdates = [...event.recurrence.exdates, ...(meeting.recurrence?.exdates || [])];
+        meeting.recurrence = { rrule: event.recurrence.rrule, exdates: [] };
+        exdates.forEach(d => addExdate(meeting, d));
+      } else {
+        meeting.recurrence = undefined;
+      }
+
+      await changeSet.save(meeting);
+      imported.push({ event, meeting });
+      report(existing ? updated : created, event, meeting);
+      continue;
+    }
+
+    // A changed or cancelled occurrence of a series
+    const series = await findByUid(calendarId, event.uid);
+    if (!series || !isRecurring(series)) {
+      skipped.push({ uid: event.uid, title: event.title, reason: 'RECURRENCE-ID refers to a series that was not found' });
+      continue;
+    }
+
+    addExdate(series, event.recurrenceId);
+    await changeSet.save(series);
+    changedSeries.set(String(series._id), series);
+
+    const existing = await Meeting.findOne({ seriesId: series._id, originalStartTime: event.recurrenceId });
+    if (event.cancelled) {
+      if (existing) {
+        await changeSet.remove(existing);
+        await removeConflictLinks([existing._id]);
+      }
+      report(updated, event, series, { occurrence: event.recurrenceId, cancelled: true });
+      continue;
+    }
+
+    const occurrence = existing || new Meeting({ calendarId, seriesId: series._id, originalStartTime: event.recurrenceId });
+    applyEvent(occurrence, event);
+    await changeSet.save(occurrence);
+    imported.push({ event, meeting: occurrence });
+    report(existing ? updated : created, event, occurrence, { occurrence: event.recurrenceId });
+  }
+
+  // Check once everything is stored, so imported events are also checked against each other
+  const conflicts = [];
+  const loggedPairs = new Set();
+  for (const { event, meeting } of imported) {
+    const clashes = await checkTimeConflict(meeting.startTime, meeting.endTime, meeting._id, meeting);
+    flagConflicts(meeting, clashes);
+    if (meeting.isModified()) await meeting.save();
+    await syncConflictLinks(meeting, clashes);
+    changedSeries.delete(String(meeting._id));
+    if (clashes.length === 0) continue;
+
+    // Two imported events clashing with each other are logged once
+    const pairKey = (c) => [String(meeting._id), String(c.seriesId || c._id)].sort().join('|');
+    const unlogged = clashes.filter(c => !loggedPairs.has(pairKey(c)));
+    clashes.forEach(c => loggedPairs.add(pairKey(c)));
+
+    const record = unlogged.length > 0
+      ? await recordConflict({ calendarId, meeting, conflicts: unlogged, source: 'import' })
+      : null;
+
+    conflicts.push({
+      uid: event.uid,
+      meetingId: meeting._id,
+      title: meeting.title,
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      conflictId: record?._id,
+      severity: meeting.conflictSeverity,
+      conflictsWith: clashes.map(c => ({ ...describe(c), overlap: c.overlap }))
+    });
+  }
+
+  for (const series of changedSeries.values()) {
+    await refreshMeetingConflicts(series);
+  }
+
+  return { created, updated, skipped, conflicts, changeId: changeSet.changeId };
+};
+
+module.exports = {
+  buildCalendar,
+  findMeetingsForExport,
+  getSeriesUids,
+  parseICalendar,
+  exportMeetings,
+  importMeetings
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+
+// LLM providers behind the agent. Every provider has the same shape:
+//   { name, model,
+//     complete({ messages, tools }) -> assistant message ({ content, tool_calls }),
+//     stream({ messages, tools, onToken }) -> the same message, calling onToken(text) as content arrives }
+// Configured from the environment:
+//   LLM_PROVIDER     openai (default) or fake
+//   LLM_MODEL        model name (default gpt-4o-mini)
+//   LLM_BASE_URL     any OpenAI-compatible server, e.g. http://localhost:11434/v1 for Ollama
+//   LLM_API_KEY      falls back to OPENAI_API_KEY; local servers usually need none
+//   LLM_TEMPERATURE, LLM_TIMEOUT_MS, LLM_MAX_RETRIES
+//   LLM_FAKE_SCRIPT  JSON script for the fake provider (see createFakeProvider)
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+
+const optionalNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+const getLLMConfig = (env = process.env) => ({
+  provider: env.LLM_PROVIDER || 'openai',
+  model: env.LLM_MODEL || DEFAULT_MODEL,
+  baseURL: env.LLM_BASE_URL || undefined,
+  apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+  temperature: optionalNumber(env.LLM_TEMPERATURE),
+  timeout: optionalNumber(env.LLM_TIMEOUT_MS) ?? DEFAULT_TIMEOUT_MS,
+  maxRetries: optionalNumber(env.LLM_MAX_RETRIES) ?? DEFAULT_MAX_RETRIES,
+  fakeScript: env.LLM_FAKE_SCRIPT
+});
+
+// OpenAI or any server speaking its chat completions API; the client is built once and reused
+const createOpenAIProvider = (config) => {
+  const client = new OpenAI({
+    // OpenAI-compatible local servers accept any key, but the SDK insists on one
+    apiKey: config.apiKey || (config.baseURL ? 'not-needed' : undefined),
+    baseURL: config.baseURL,
+    timeout: config.timeout,
+    maxRetries: config.maxRetries
+  });
+
+  const buildRequest = (messages, tools) => ({
+    model: config.model,
+    messages,
+    ...(tools && { tools, tool_choice: 'auto' }),
+    ...(config.temperature !== undefined && { temperature: config.temperature })
+  });
+
+  return {
+    name: 'openai',
+    model: config.model,
+    complete: async ({ messages, tools }) => {
+      const response = await client.chat.completions.create(buildRequest(messages, tools));
+      return response.choices[0].message;
+    },
+    stream: async ({ messages, tools, onToken }) => {
+      const stream = await client.chat.completions.create({ ...buildRequest(messages, tools), stream: true });
+
+      // Tool calls arrive in fragments keyed by index
+      let content = '';
+      const toolCalls = [];
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta || {};
+        if (delta.content) {
+          content += delta.content;
+          onToken(delta.content);
+        }
+        for (const fragment of delta.tool_calls || []) {
+          const call = toolCalls[fragment.index] ||
+            (toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+      }
+
+      return {
+        role: 'assistant',
+        content: content || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+      };
+    }
+  };
+};
+
+const lastUserMessage = (messages) => {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return message ? String(message.content) : '';
+};
+
+// Deterministic stand-in that replays a script, for CI and offline development. A script is a list of turns:
+//   [{ "match": "cancel", "steps": [
+//       { "tool_calls": [{ "name": "get_meetings", "arguments": { "startDate": "2025-12-01" } }] },
+//       { "content": "Done." }
+//   ] }]
+// The first turn whose `match` (a case-insensitive regex, optional) fits the latest user message is used;
+// its steps are replayed one per model call within that request. Without a matching turn the message is echoed.
+const createFakeProvider = ({ script = [], model = 'fake' } = {}) => {
+  const complete = async ({ messages }) => {
+    const query = lastUserMessage(messages);
+    const turn = script.find(t => !t.match || new RegExp(t.match, 'i').test(query));
+    if (!turn) {
+      return { role: 'assistant', content: `(fake) ${query}` };
+    }
+
+    // Steps already taken this request = assistant messages since the user's message
+    const lastUser = messages.map(m => m.role).lastIndexOf('user');
+    const stepIndex = messages.slice(lastUser + 1).filter(m => m.role === 'assistant').length;
+    const step = turn.steps[stepIndex];
+
+    // Past the end of the script: answer instead of calling tools forever
+    if (!step) {
+      return { role: 'assistant', content: 'Done.' };
+    }
+
+    if (!step.tool_calls) {
+      return { role: 'assistant', content: step.content };
+    }
+
+    return {
+      role: 'assistant',
+      content: step.content || null,
+      tool_calls: step.tool_calls.map((call, index) => ({
+        id: `fake_${stepIndex}_${index}`,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    };
+  };
+
+  return {
+    name: 'fake',
+    model,
+    complete,
+    // Replays the content word by word
+    stream: async ({ messages, tools, onToken }) => {
+      const message = await complete({ messages, tools });
+      for (const token of (message.content || '').split(/(?<=\s)/)) {
+        if (token) onToken(token);
+      }
+      return message;
+    }
+  };
+};
+
+const loadFakeScript = (value) => {
+  if (!value) return [];
+  const text = value.trim().startsWith('[') ? value : fs.readFileSync(value, 'utf8');
+  return JSON.parse(text);
+};
+
+// Returns an error message when the configured provider cannot run, otherwise null
+const checkLLMConfig = (config = getLLMConfig()) => {
+  if (config.provider === 'fake') return null;
+  if (config.provider !== 'openai') return `Unknown LLM_PROVIDER: ${config.provider}`;
+  if (!config.apiKey && !config.baseURL) return 'Missing OpenAI API key';
+  return null;
+};
+
+const createProvider = (config = getLLMConfig()) => {
+  if (config.provider === 'fake') {
+    return createFakeProvider({ script: loadFakeScript(config.fakeScript) });
+  }
+  return createOpenAIProvider(config);
+};
+
+// Provider shared by all requests, built on first use
+let defaultProvider = null;
+
+const getProvider = () => {
+  if (!defaultProvider) defaultProvider = createProvider();
+  return defaultProvider;
+};
+
+module.exports = {
+  getLLMConfig,
+  checkLLMConfig,
+  createProvider,
+  createOpenAIProvider,
+  createFakeProvider,
+  getProvider
+};
@@ -0,0 +1,408 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const {
+  DAY_MS,
+  expandOccurrences,
+  getOccurrenceEnd,
+  isOccurrenceStart,
+  formatOccurrenceId,
+  parseOccurrenceId
+} = require('./recurrence');
+const { parseDateTime } = require('./timezone');
+
+const DEFAULT_CALENDAR_ID = 'default';
+
+// How far ahead an endless recurring series is checked for conflicts
+const CONFLICT_HORIZON_DAYS = 365;
+
+// How far ahead recurring meetings are listed when only a start date is given
+const LIST_HORIZON_DAYS = 366;
+
+// Page size of listMeetings
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+// Fields listMeetings can sort by ("-title" sorts descending)
+const SORT_FIELDS = ['startTime', 'endTime', 'title', 'createdAt', 'updatedAt'];
+
+// Meetings created before calendars existed have no calendarId and belong to the default calendar.
+// An array of IDs selects several calendars at once.
+const calendarScope = (calendarId) => {
+  if (Array.isArray(calendarId)) {
+    const ids = calendarId.map(id => id || DEFAULT_CALENDAR_ID);
+    return { calendarId: { $in: ids.includes(DEFAULT_CALENDAR_ID) ? [...ids, null] : ids } };
+  }
+  if (!calendarId || calendarId === DEFAULT_CALENDAR_ID) {
+    return { calendarId: { $in: [DEFAULT_CALENDAR_ID, null] } };
+  }
+  return { calendarId };
+};
+
+// Meeting priorities, lowest first
+const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
+// Conflict severities, mildest first
+const SEVERITIES = ['back_to_back', 'partial', 'full'];
+
+// An overlap this short is one meeting running into the next rather than a double-booking
+const EDGE_OVERLAP_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+// Virtual locations never clash: two calls can both be "on Zoom" at the same time
+const VIRTUAL_LOCATION_PATTERN = /^(zoom|google meet|microsoft teams|teams|skype|webex|online|virtual|remote|phone)$|^https?:\/\//i;
+
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept attendees as an array or a comma-separated string
+const normalizeAttendees = (attendees) => {
+  if (!attendees) return [];
+  const list = Array.isArray(attendees) ? attendees : String(attendees).split(',');
+  return list.map(a => String(a).trim()).filter(Boolean);
+};
+
+const getParticipants = (meeting) => {
+  const people = [meeting.organizer, ...(meeting.attendees || [])].filter(Boolean);
+  return new Set(people.map(p => p.trim().toLowerCase()));
+};
+
+// Checks priority/movable/required input; returns an error message or null
+const validateImportance = ({ priority, movable, required } = {}) => {
+  if (priority !== undefined && priority !== null && !PRIORITIES.includes(priority)) {
+    return `priority must be one of: ${PRIORITIES.join(', ')}`;
+  }
+  if (movable !== undefined && typeof movable !== 'boolean') {
+    return 'movable must be true or false';
+  }
+  if (required !== undefined && typeof required !== 'boolean') {
+    return 'required must be true or false';
+  }
+  return null;
+};
+
+const getRoom = (location) => {
+  const room = (location || '').trim().toLowerCase();
+  return room && !VIRTUAL_LOCATION_PATTERN.test(room) ? room : null;
+};
+
+// Overlapping meetings only clash when they share a person or a physical room.
+// A meeting that lists nobody is the calendar owner's own time, so it clashes with anything.
+const sharesPersonOrRoom = (a, b) => {
+  const peopleA = getParticipants(a);
+  const peopleB = getParticipants(b);
+  if (peopleA.size === 0 || peopleB.size === 0) return true;
+
+  for (const person of peopleA) {
+    if (peopleB.has(person)) return true;
+  }
+
+  const roomA = getRoom(a.location);
+  return !!roomA && roomA === getRoom(b.location);
+};
+
+const isRecurring = (meeting) => !!meeting?.recurrence?.rrule;
+
+const toPlain = (meeting) => (typeof meeting.toObject === 'function' ? meeting.toObject() : meeting);
+
+// One occurrence of a series, shaped like a stored meeting
+const buildOccurrence = (series, { start, end }) => {
+  const master = toPlain(series);
+  return {
+    ...master,
+    _id: formatOccurrenceId(master._id, start),
+    seriesId: master._id,
+    startTime: start,
+    endTime: end,
+    originalStartTime: start,
+    isOccurrence: true
+  };
+};
+
+// One-off meetings plus expanded occurrences of recurring series overlapping [rangeStart, rangeEnd).
+// With `matchStart`, only meetings starting inside [rangeStart, rangeEnd] are returned.
+// `filter` holds extra conditions on the stored meetings; occurrences match through their series.
+const findMeetingsInRange = async (calendarId, rangeStart, rangeEnd, { excludeMeetingId = null, matchStart = false, filter = {} } = {}) => {
+  const baseQuery = { ...calendarScope(calendarId), ...filter };
+  if (excludeMeetingId) {
+    baseQuery._id = { $ne: excludeMeetingId };
+  }
+
+  const singles = await Meeting.find({
+    ...baseQuery,
+    'recurrence.rrule': null,
+    ...(matchStart
+      ? { startTime: { $gte: rangeStart, $lte: rangeEnd } }
+      : { startTime: { $lt: rangeEnd }, endTime: { $gt: rangeStart } })
+  });
+
+  const series = await Meeting.find({
+    ...baseQuery,
+    'recurrence.rrule': { $ne: null },
+    startTime: { $lte: rangeEnd },
+    $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gt: rangeStart } }]
+  });
+
+  const occurrences = series.flatMap(s =>
+    expandOccurrences(s, rangeStart, rangeEnd, { matchStart }).map(o => buildOccurrence(s, o))
+  );
+
+  return [...singles.map(toPlain), ...occurrences].sort((a, b) => a.startTime - b.startTime);
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === '1';
+
+// Query conditions for the listing filters. They only use fields an occurrence shares with its series,
+// so the same conditions select one-off meetings and series.
+const buildMeetingFilter = ({ q, hasConflict, attendee, organizer, location } = {}) => {
+  const conditions = [];
+
+  // Every word has to appear in the title or the description
+  for (const term of String(q || '').split(/\s+/).filter(Boolean)) {
+    const pattern = new RegExp(escapeRegExp(term), 'i');
+    conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+  }
+  if (hasConflict !== undefined && hasConflict !== '') {
+    conditions.push({ hasConflict: toBoolean(hasConflict) });
+  }
+  // A person takes part as an attendee or as the organizer
+  if (attendee) {
+    const pattern = new RegExp(escapeRegExp(String(attendee).trim()), 'i');
+    conditions.push({ $or: [{ attendees: pattern }, { organizer: pattern }] });
+  }
+  if (organizer) {
+    conditions.push({ organizer: new RegExp(escapeRegExp(String(organizer).trim()), 'i') });
+  }
+  if (location) {
+    conditions.push({ location: new RegExp(escapeRegExp(String(location).trim()), 'i') });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// { field, direction } from a sort parameter such as "startTime" or "-updatedAt", or null if not allowed
+const parseSort = (sort = 'startTime') => {
+  const descending = String(sort).startsWith('-');
+  const field = descending ? String(sort).slice(1) : String(sort);
+  return SORT_FIELDS.includes(field) ? { field, direction: descending ? -1 : 1 } : null;
+};
+
+// A cursor is the sort value and ID of the last meeting of a page
+const encodeCursor = (meeting, { field }) =>
+  Buffer.from(JSON.stringify([meeting[field], String(meeting._id)])).toString('base64url');
+
+const decodeCursor = (cursor, { field }) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof id !== 'string') return null;
+    if (field === 'title') return { value, id };
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : { value: date, id };
+  } catch {
+    return null;
+  }
+};
+
+const compareValues = (a, b) => {
+  if (a == null || b == null) return (a == null) - (b == null);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Orders meetings by the sort field, then by ID so every meeting has a fixed position for cursors
+const compareMeetings = ({ field, direction }) => (a, b) =>
+  (compareValues(a[field], b[field]) || compareValues(String(a._id), String(b._id))) * direction;
+
+// Stored meetings after the cursor position, in the order of `sort`
+const afterCursor = ({ value, id }, { field, direction }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Meetings for listing, one page at a time. With a date range, meetings overlapping it are returned and
+// recurring series are expanded into occurrences; without one, the stored meetings are.
+// Filters: q (words in the title or description), hasConflict, attendee, organizer and location.
+// `sort` is one of SORT_FIELDS (prefix "-" for descending); pass the returned nextCursor as `cursor` for the next page.
+// Dates without an offset are read as wall time in `timeZone`.
+// Returns { meetings, total, nextCursor } or { error, status }.
+const listMeetings = async (calendarId, { startDate, endDate, timeZone, sort, cursor, limit = DEFAULT_LIST_LIMIT, ...filters } = {}) => {
+  const order = parseSort(sort || undefined);
+  if (!order) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')} (prefix "-" for descending)`, status: 400 };
+  }
+  const position = cursor ? decodeCursor(cursor, order) : null;
+  if (cursor && !position) {
+    return { error: 'Invalid cursor', status: 400 };
+  }
+  const pageSize = parseInt(limit);
+  if (isNaN(pageSize) || pageSize < 1) {
+    return { error: 'limit must be a positive number', status: 400 };
+  }
+  const max = Math.min(pageSize, MAX_LIST_LIMIT);
+  const filter = buildMeetingFilter(filters);
+
+  let meetings;
+  let total;
+  if (!startDate && !endDate) {
+    const query = { ...calendarScope(calendarId), ...filter };
+    total = await Meeting.countDocuments(query);
+    meetings = await Meeting.find(position ? { ...query, ...afterCursor(position, order) } : query)
+      .sort({ [order.field]: order.direction, _id: order.direction })
+      .limit(max + 1);
+  } else {
+    const rangeStart = startDate ? parseDateTime(startDate, timeZone) : new Date(0);
+    const rangeEnd = endDate
+      ? parseDateTime(endDate, timeZone)
+      : new Date(rangeStart.getTime() + LIST_HORIZON_DAYS * DAY_MS);
+    if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+      return { error: 'Invalid date format for startDate or endDate', status: 400 };
+    }
+
+    const compare = compareMeetings(order);
+    const all = (await findMeetingsInRange(calendarId, rangeStart, rangeEnd, { filter })).sort(compare);
+    total = all.length;
+    const from = position ? all.findIndex(m => compare(m, { [order.field]: position.value, _id: position.id }) > 0) : 0;
+    meetings = from < 0 ? [] : all.slice(from, from + max + 1);
+  }
+
+  const hasMore = meetings.length > max;
+  const page = meetings.slice(0, max);
+  return {
+    meetings: page,
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], order) : null
+  };
+};
+
+const toPercent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 100);
+
+// How two time windows ({ start, end }) overlap: start/end, minutes, the share of each window affected and a severity.
+// "full" means one window lies entirely inside the other, "back_to_back" an overlap of a few minutes at the edge.
+const measureOverlap = (window, other) => {
+  const start = new Date(Math.max(window.start, other.start));
+  const end = new Date(Math.min(window.end, other.end));
+  const overlapMs = Math.max(0, end - start);
+
+  const meetingPercent = toPercent(overlapMs, window.end - window.start);
+  const conflictPercent = toPercent(overlapMs, other.end - other.start);
+  const minutes = Math.round(overlapMs / MINUTE_MS);
+
+  let severity = 'partial';
+  if (meetingPercent >= 100 || conflictPercent >= 100) severity = 'full';
+  else if (minutes <= EDGE_OVERLAP_MINUTES) severity = 'back_to_back';
+
+  return { start, end, minutes, meetingPercent, conflictPercent, severity };
+};
+
+// The worst severity among conflicts returned by checkTimeConflict (undefined without any)
+const highestSeverity = (conflicts) => {
+  const ranks = conflicts
+    .map(c => SEVERITIES.indexOf(c.overlap?.severity))
+    .filter(rank => rank >= 0);
+  return ranks.length > 0 ? SEVERITIES[Math.max(...ranks)] : undefined;
+};
+
+// Sets hasConflict/conflictSeverity on a meeting document from its current conflicts
+const flagConflicts = (meeting, conflicts) => {
+  meeting.hasConflict = conflicts.length > 0;
+  meeting.conflictSeverity = highestSeverity(conflicts);
+  return meeting;
+};
+
+// The { start, end } windows a meeting occupies: one, or every occurrence up to the conflict horizon
+const getConflictWindows = (startTime, endTime, meeting = {}) => {
+  if (!isRecurring(meeting)) return [{ start: startTime, end: endTime }];
+  return expandOccurrences(
+    { startTime, endTime, recurrence: meeting.recurrence, timeZone: meeting.timeZone },
+    startTime,
+    new Date(startTime.getTime() + CONFLICT_HORIZON_DAYS * DAY_MS)
+  );
+};
+
+// Helper function to check for time conflicts
+// `meeting` is { calendarId, organizer, attendees, location, recurrence, timeZone } of the meeting being scheduled;
+// for a recurring meeting every occurrence (up to the conflict horizon) is checked.
+// Each returned meeting carries `overlap` (see measureOverlap) for the occurrence it overlaps most.
+const checkTimeConflict = async (startTime, endTime, excludeMeetingId = null, meeting = {}) => {
+  const windows = getConflictWindows(startTime, endTime, meeting);
+
+  if (windows.length === 0) return [];
+
+  const candidates = await findMeetingsInRange(
+    meeting.calendarId,
+    windows[0].start,
+    windows[windows.length - 1].end,
+    { excludeMeetingId }
+  );
+
+  return candidates
+    .filter(m => sharesPersonOrRoom(meeting, m))
+    .map(m => {
+      const other = { start: m.startTime, end: m.endTime };
+      const overlaps = windows
+        .filter(w => m.startTime < w.end && m.endTime > w.start)
+        .map(w => measureOverlap(w, other));
+      if (overlaps.length === 0) return null;
+
+      const overlap = overlaps.reduce((worst, o) =>
+        SEVERITIES.indexOf(o.severity) > SEVERITIES.indexOf(worst.severity) ||
+        (o.severity === worst.severity && o.minutes > worst.minutes) ? o : worst);
+      return { ...m, overlap };
+    })
+    .filter(Boolean);
+};
+
+// Resolves a meeting ID or an occurrence ID ("<seriesId>_<YYYYMMDDTHHMMSSZ>").
+// Returns { meeting, occurrence } where occurrence is { start, end } for a series occurrence, or null if not found.
+const resolveMeeting = async (id, calendarId) => {
+  const occurrenceRef = parseOccurrenceId(id);
+
+  if (!occurrenceRef) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const meeting = await Meeting.findOne({ _id: id, ...calendarScope(calendarId) });
+    return meeting ? { meeting, occurrence: null } : null;
+  }
+
+  const series = await Meeting.findOne({ _id: occurrenceRef.seriesId, ...calendarScope(calendarId) });
+  if (!series || !isRecurring(series)) return null;
+
+  const start = occurrenceRef.start;
+
+  // An occurrence that was edited on its own lives on as a separate meeting
+  const detached = await Meeting.findOne({ seriesId: series._id, originalStartTime: start });
+  if (detached) return { meeting: detached, occurrence: null };
+
+  const excluded = series.recurrence.exdates.some(d => d.getTime() === start.getTime());
+  if (excluded || !isOccurrenceStart(series, start)) return null;
+
+  return { meeting: series, occurrence: { start, end: getOccurrenceEnd(series, start) } };
+};
+
+module.exports = {
+  DEFAULT_CALENDAR_ID,
+  PRIORITIES,
+  SEVERITIES,
+  EDGE_OVERLAP_MINUTES,
+  SORT_FIELDS,
+  calendarScope,
+  escapeRegExp,
+  normalizeAttendees,
+  getParticipants,
+  validateImportance,
+  getRoom,
+  sharesPersonOrRoom,
+  isRecurring,
+  buildOccurrence,
+  findMeetingsInRange,
+  buildMeetingFilter,
+  listMeetings,
+  measureOverlap,
+  highestSeverity,
+  flagConflicts,
+  getConflictWindows,
+  checkTimeConflict,
+  resolveMeeting
+};
@@ -0,0 +1,142 @@
+// Conversation memory: keeps recent turns within a token budget and rolls older turns
+// into a running summary, so references like "it" survive long sessions.
+
+const DEFAULT_TOKEN_BUDGET = 3000;
+
+// Rough OpenAI token estimate (about 4 characters per token plus per-message overhead)
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Longest line kept in the summary for a single user request, answer or tool result
+const MAX_SUMMARY_LINE = 200;
+
+const SUMMARY_PREFIX = 'Summary of the earlier conversation (oldest first):';
+
+const getTokenBudget = () => Number(process.env.HISTORY_TOKEN_BUDGET) || DEFAULT_TOKEN_BUDGET;
+
+const estimateTokens = (message) => {
+  const text = (message.content || '') + (message.tool_calls ? JSON.stringify(message.tool_calls) : '');
+  return Math.ceil(text.length / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS;
+};
+
+const countTokens = (messages) => messages.reduce((total, m) => total + estimateTokens(m), 0);
+
+const isSummary = (message) => message.role === 'system' && String(message.content).startsWith(SUMMARY_PREFIX);
+
+const truncate = (text, length = MAX_SUMMARY_LINE) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+// Splits messages into turns, each starting at a user message, so an assistant
+// tool_calls message always stays with its tool results
+const groupTurns = (messages) => {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([]);
+    }
+    turns[turns.length - 1].push(message);
+  }
+  return turns;
+};
+
+const describeMeeting = (meeting) => {
+  if (!meeting) return null;
+  const id = meeting.id || meeting._id;
+  const when = meeting.startTime ? `, ${new Date(meeting.startTime).toISOString()}` : '';
+  return `"${meeting.title}"${id ? ` (id ${id}${when})` : when}`;
+};
+
+// One line per tool result, keeping the meeting IDs later turns may refer to
+const summarizeToolResult = (name, content) => {
+  let result;
+  try {
+    result = JSON.parse(content);
+  } catch (error) {
+    return `${name}: ${truncate(content)}`;
+  }
+
+  if (!result || typeof result !== 'object') {
+    return `${name}: ${truncate(content)}`;
+  }
+
+  if (result.success === false) {
+    return `${name} failed: ${truncate(result.error || result.message)}`;
+  }
+
+  const meeting = describeMeeting(result.meeting || result.deletedMeeting);
+  if (meeting) return `${name}: ${meeting}`;
+
+  if (Array.isArray(result.meetings)) {
+    const listed = result.meetings.slice(0, 5).map(describeMeeting).join('; ');
+    return truncate(`${name}: ${result.meetings.length} meeting(s) ${listed}`);
+  }
+
+  return truncate(`${name}: ${result.message || 'succeeded'}`);
+};
+
+const summarizeTurn = (turn) => {
+  const toolNames = {};
+  const lines = [];
+
+  for (const message of turn) {
+    if (message.role === 'user') {
+      lines.push(`User: ${truncate(message.content)}`);
+    } else if (message.role === 'assistant') {
+      for (const call of message.tool_calls || []) {
+        toolNames[call.id] = call.function?.name || 'tool';
+      }
+      if (message.content) lines.push(`Assistant: ${truncate(message.content)}`);
+    } else if (message.role === 'tool') {
+      lines.push(`- ${summarizeToolResult(toolNames[message.tool_call_id] || 'tool', message.content)}`);
+    }
+  }
+
+  return lines;
+};
+
+// Trims `messages` to about `budget` tokens. Whole turns are dropped, oldest first, and their key facts
+// are appended to a leading summary message; recent turns get three quarters of the budget, the summary the rest.
+const compactHistory = (messages, { budget = getTokenBudget() } = {}) => {
+  const summaryLines = messages.filter(isSummary)
+    .flatMap(m => m.content.split('\n').slice(1));
+  const turns = groupTurns(messages.filter(m => !isSummary(m)));
+
+  // A turn cut off from its user message (e.g. history saved by the old 9-message limit) cannot be replayed
+  if (turns.length > 0 && turns[0][0].role !== 'user') {
+    summaryLines.push(...summarizeTurn(turns.shift()));
+  }
+
+  // The latest turn is always kept, even when it alone exceeds the budget
+  const kept = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const tokens = countTokens(turns[i]);
+    if (kept.length > 0 && used + tokens > budget * 0.75) {
+      summaryLines.push(...turns.slice(0, i + 1).flatMap(summarizeTurn));
+      break;
+    }
+    kept.unshift(turns[i]);
+    used += tokens;
+  }
+
+  // Oldest summary lines go first once the summary outgrows its share
+  const summaryBudget = budget - Math.min(used, budget * 0.75);
+  while (summaryLines.length > 0 && countTokens([{ content: summaryLines.join('\n') }]) > summaryBudget) {
+    summaryLines.shift();
+  }
+
+  const summary = summaryLines.length > 0
+    ? [{ role: 'system', content: [SUMMARY_PREFIX, ...summaryLines].join('\n') }]
+    : [];
+
+  return [...summary, ...kept.flat()];
+};
+
+module.exports = {
+  estimateTokens,
+  countTokens,
+  groupTurns,
+  compactHistory
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Tool calls held back until the user confirms them (see executeTool in agentTools.js).
+// Kept with the session in the session store (like pending conflict proposals), so a confirmation
+// works on any instance and after a restart; an unconfirmed action expires.
+
+const DEFAULT_TTL_MINUTES = 15;
+
+const getTtlMs = () => (Number(process.env.PENDING_ACTION_TTL_MINUTES) || DEFAULT_TTL_MINUTES) * 60 * 1000;
+
+// Stored dates come back as strings from some stores
+const isLive = (action) => new Date(action.expiresAt) > new Date();
+
+// Holds back one tool call; returns the stored action with its confirmation token:
+// { token, sessionId, calendarId, tool, args, preview, createdAt, expiresAt }
+const createPendingAction = async (store, { sessionId, calendarId, tool, args, preview }) => {
+  const createdAt = new Date();
+  const action = {
+    token: crypto.randomBytes(12).toString('base64url'),
+    sessionId,
+    calendarId,
+    tool,
+    args,
+    preview,
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + getTtlMs())
+  };
+  await store.addPendingAction(sessionId, action);
+  return action;
+};
+
+// Unexpired actions of a session, oldest first
+const listPendingActions = async (store, sessionId) => {
+  const actions = await store.getPendingActions(sessionId);
+  return actions.filter(isLive);
+};
+
+// Removes and returns the session's actions with the given tokens (all of them without tokens).
+// Returns { actions } or { error } when a token is unknown, expired or belongs to another session.
+const takePendingActions = async (store, sessionId, tokens) => {
+  const live = await listPendingActions(store, sessionId);
+  const wanted = tokens && tokens.length > 0 ? tokens : live.map(a => a.token);
+  if (wanted.length === 0) return { error: 'There is nothing waiting for confirmation' };
+
+  if (wanted.some(token => !live.some(a => a.token === token))) {
+    return { error: 'Unknown or expired confirmation token' };
+  }
+
+  // Another request may have confirmed or cancelled some of them in the meantime
+  const actions = await store.removePendingActions(sessionId, wanted);
+  if (actions.length < wanted.length) {
+    return { error: 'Unknown or expired confirmation token' };
+  }
+  return { actions };
+};
+
+module.exports = {
+  createPendingAction,
+  listPendingActions,
+  takePendingActions
+};
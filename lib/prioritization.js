@@ -0,0 +1,186 @@
+const {
+  getParticipants,
+  sharesPersonOrRoom,
+  buildOccurrence,
+  findMeetingsInRange,
+  resolveMeeting
+} = require('./meetings');
+const { findNearestSlots } = require('./availability');
+const { recordConflict } = require('./conflicts');
+const { parseDateTime } = require('./timezone');
+
+// Ranks clashing meetings and recommends which to keep, move or decline
+
+const PRIORITY_WEIGHTS = { low: 1, normal: 2, high: 3, critical: 4 };
+
+const ACTIONS = ['keep', 'move', 'decline'];
+
+const getPriority = (meeting) => meeting.priority || 'normal';
+const isMovable = (meeting) => meeting.movable !== false;
+
+const overlaps = (a, b) => a.startTime < b.endTime && a.endTime > b.startTime;
+const clashes = (a, b) => overlaps(a, b) && sharesPersonOrRoom(a, b);
+
+const toPlain = (meeting) => (typeof meeting.toObject === 'function' ? meeting.toObject() : meeting);
+
+// How important it is to keep a meeting where it is, with the reasons behind the score
+const scoreMeeting = (meeting) => {
+  const priority = getPriority(meeting);
+  const reasons = [`${priority} priority`];
+  let score = (PRIORITY_WEIGHTS[priority] || PRIORITY_WEIGHTS.normal) * 100;
+
+  if (meeting.required) {
+    score += 50;
+    reasons.push('attendance is required');
+  }
+  if (!isMovable(meeting)) {
+    score += 40;
+    reasons.push('cannot be moved');
+  }
+
+  const people = getParticipants(meeting).size;
+  if (people > 0) {
+    score += Math.min(people, 6) * 5;
+    reasons.push(`${people} ${people === 1 ? 'person' : 'people'} involved`);
+  }
+
+  if (meeting.seriesId) {
+    score -= 10;
+    reasons.push('a single occurrence of a recurring series');
+  }
+
+  return { score, reasons };
+};
+
+// Whether `a` should give way to `b` when they clash
+const isLowerPriority = (a, b) => scoreMeeting(a).score < scoreMeeting(b).score;
+
+// Meetings to rank: the given IDs (meeting or occurrence IDs), or every clashing meeting in a date range
+const collectMeetings = async (calendarId, { meetingIds, startDate, endDate, timeZone }) => {
+  if (meetingIds) {
+    const ids = (Array.isArray(meetingIds) ? meetingIds : String(meetingIds).split(','))
+      .map(id => String(id).trim())
+      .filter(Boolean);
+    if (ids.length < 2) {
+      return { error: 'meetingIds must list at least two meetings', status: 400 };
+    }
+
+    const meetings = [];
+    for (const id of [...new Set(ids)]) {
+      const target = await resolveMeeting(id, calendarId);
+      if (!target) return { error: `Meeting not found: ${id}`, status: 404 };
+      meetings.push(target.occurrence ? buildOccurrence(target.meeting, target.occurrence) : toPlain(target.meeting));
+    }
+    return { meetings };
+  }
+
+  if (!startDate || !endDate) {
+    return { error: 'Pass meetingIds, or startDate and endDate', status: 400 };
+  }
+
+  const rangeStart = parseDateTime(startDate, timeZone);
+  const rangeEnd = parseDateTime(endDate, timeZone);
+  if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime()) || rangeEnd <= rangeStart) {
+    return { error: 'Invalid date range', status: 400 };
+  }
+
+  const inRange = await findMeetingsInRange(calendarId, rangeStart, rangeEnd);
+  const meetings = inRange.filter(m => inRange.some(other => other !== m && clashes(m, other)));
+  if (meetings.length === 0) {
+    return { error: 'No clashing meetings in that range', status: 404 };
+  }
+  return { meetings };
+};
+
+// Ranks the meetings (highest score first) and walks down the list: a meeting that clashes with one
+// already kept is moved to its nearest free slot if it can be, declined otherwise. A required meeting
+// that cannot be moved is always kept and flagged for a manual decision.
+// The advice is stored in a Conflict record (intent PRIORITIZE_EVENTS, outcome pending).
+// `context` ({ source, sessionId, metadata }) says who asked.
+// Returns { conflictId, summary, recommendations } or { error, status }.
+const prioritizeMeetings = async (calendarId, options = {}, context = {}) => {
+  const collected = await collectMeetings(calendarId, options);
+  if (collected.error) return collected;
+
+  const ranked = collected.meetings
+    .map(meeting => ({ meeting, ...scoreMeeting(meeting) }))
+    .sort((a, b) => b.score - a.score || new Date(a.meeting.startTime) - new Date(b.meeting.startTime));
+
+  const kept = [];
+  const recommendations = [];
+
+  for (const [index, entry] of ranked.entries()) {
+    const { meeting } = entry;
+    const clash = kept.find(k => clashes(k, meeting));
+    const recommendation = {
+      rank: index + 1,
+      meetingId: String(meeting._id),
+      title: meeting.title,
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      priority: getPriority(meeting),
+      movable: isMovable(meeting),
+      required: !!meeting.required,
+      score: entry.score,
+      reasons: [...entry.reasons]
+    };
+
+    if (!clash) {
+      recommendation.action = 'keep';
+      recommendation.reasons.unshift(kept.length === 0 ? 'ranked highest' : 'does not clash with a higher-ranked meeting');
+      kept.push(meeting);
+    } else {
+      const slot = isMovable(meeting)
+        ? await findNearestSlots(calendarId, meeting, {
+          excludeMeetingId: meeting._id,
+          extraBusy: kept.map(k => ({ start: new Date(k.startTime), end: new Date(k.endTime) }))
+        })
+        : null;
+      const suggestion = slot?.after || slot?.before;
+
+      if (suggestion) {
+        recommendation.action = 'move';
+        recommendation.reasons.unshift(`clashes with higher-ranked "${clash.title}"; the nearest free slot is suggested`);
+        recommendation.suggestedStartTime = suggestion.startTime;
+        recommendation.suggestedEndTime = suggestion.endTime;
+      } else if (!meeting.required) {
+        recommendation.action = 'decline';
+        recommendation.reasons.unshift(isMovable(meeting)
+          ? `clashes with higher-ranked "${clash.title}" and no free slot was found nearby`
+          : `clashes with higher-ranked "${clash.title}" and cannot be moved`);
+      } else {
+        recommendation.action = 'keep';
+        recommendation.reasons.unshift(`required and cannot be moved, so it stays despite clashing with "${clash.title}"; needs a manual decision`);
+        kept.push(meeting);
+      }
+    }
+
+    recommendations.push(recommendation);
+  }
+
+  const summary = recommendations
+    .map(r => `${r.action} "${r.title}"${r.action === 'move' ? ` (to ${new Date(r.suggestedStartTime).toISOString()})` : ''}`)
+    .join('; ');
+
+  const [top, ...others] = ranked.map(r => r.meeting);
+  const record = await recordConflict({
+    calendarId,
+    meeting: top,
+    conflicts: others,
+    intent: 'PRIORITIZE_EVENTS',
+    conflictType: 'event_prioritization',
+    resolution: `Recommended: ${summary}`,
+    recommendations,
+    ...context
+  });
+
+  return { conflictId: record._id, summary, recommendations };
+};
+
+module.exports = {
+  PRIORITY_WEIGHTS,
+  ACTIONS,
+  scoreMeeting,
+  isLowerPriority,
+  prioritizeMeetings
+};
@@ -0,0 +1,355 @@
+// iCalendar RRULE support for recurring meetings
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, WKST=MO
+// Series repeat in the wall time of their time zone, so a 09:00 meeting stays at 09:00 across DST changes.
+
+const { toWallTime, fromWallTime } = require('./timezone');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety limits so an endless series can never hang a request
+const MAX_PERIODS = 10000;
+const MAX_OCCURRENCES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OCCURRENCE_ID_PATTERN = /^([a-f0-9]{24})_(\d{8}T\d{6}Z)$/i;
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// 20251205T090000Z
+const formatICalDate = (date) => {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+// Accepts 20251205, 20251205T090000Z and 20251205T090000 (treated as UTC)
+const parseICalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parseRRule = (rrule) => {
+  if (!rrule || typeof rrule !== 'string') {
+    throw new Error('RRULE must be a non-empty string');
+  }
+
+  const rule = { interval: 1 };
+  const body = rrule.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+
+    if (!value) {
+      throw new Error(`Invalid RRULE part "${part}"`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw new Error(`Unsupported RRULE frequency "${value}" (use ${FREQUENCIES.join(', ')})`);
+        }
+        break;
+
+      case 'INTERVAL':
+      case 'COUNT': {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+          throw new Error(`RRULE ${key} must be a positive integer`);
+        }
+        rule[key.toLowerCase()] = number;
+        break;
+      }
+
+      case 'UNTIL':
+        rule.until = parseICalDate(value.toUpperCase());
+        if (!rule.until) {
+          throw new Error(`Invalid RRULE UNTIL "${value}" (use YYYYMMDD or YYYYMMDDTHHMMSSZ)`);
+        }
+        break;
+
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(token => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+          if (!match) {
+            throw new Error(`Invalid RRULE BYDAY value "${token}"`);
+          }
+          const ordinal = match[1] ? Number(match[1]) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+            throw new Error(`Invalid RRULE BYDAY ordinal "${token}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(token => {
+          const day = Number(token);
+          if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+            throw new Error(`Invalid RRULE BYMONTHDAY value "${token}"`);
+          }
+          return day;
+        });
+        break;
+
+      case 'WKST':
+        if (value.toUpperCase() !== 'MO') {
+          throw new Error('Only WKST=MO is supported');
+        }
+        break;
+
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE must include FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('RRULE cannot have both COUNT and UNTIL');
+  }
+  if (rule.byDay && rule.freq !== 'MONTHLY' && rule.byDay.some(d => d.ordinal !== null)) {
+    throw new Error('BYDAY ordinals (e.g. 1MO, -1FR) are only allowed with FREQ=MONTHLY');
+  }
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+
+  return rule;
+};
+
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatICalDate(rule.until)}`);
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  return parts.join(';');
+};
+
+const isValidRRule = (rrule) => {
+  try {
+    parseRRule(rrule);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Accepts an RRULE string or { rrule, exdates } from REST/agent input.
+// Returns a canonical { rrule, exdates } or null; throws on an invalid rule.
+const normalizeRecurrence = (input, exdates) => {
+  if (!input) return null;
+
+  const rrule = typeof input === 'string' ? input : input.rrule;
+  const rawExdates = exdates || (typeof input === 'object' ? input.exdates : null) || [];
+
+  const parsedExdates = (Array.isArray(rawExdates) ? rawExdates : [rawExdates]).map(value => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid EXDATE "${value}"`);
+    }
+    return date;
+  });
+
+  return {
+    rrule: formatRRule(parseRRule(rrule)),
+    exdates: parsedExdates
+  };
+};
+
+// Wall-clock fields of the series start; every occurrence keeps its time of day
+const getStartParts = (dtstart, timeZone) => {
+  const wall = new Date(toWallTime(dtstart, timeZone));
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth(),
+    day: wall.getUTCDate(),
+    weekday: wall.getUTCDay(),
+    time: [wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), wall.getUTCMilliseconds()]
+  };
+};
+
+const buildDate = (year, month, day, time, timeZone) => fromWallTime(Date.UTC(year, month, day, ...time), timeZone);
+
+// Series without a time zone (created before zones were stored) repeat in UTC
+const getSeriesTimeZone = (series) => series.timeZone || 'UTC';
+
+// Length of an occurrence in wall time, so all-day and overnight events keep their shape across DST changes
+const getWallDuration = (series, timeZone) => toWallTime(series.endTime, timeZone) - toWallTime(series.startTime, timeZone);
+
+// End of the occurrence starting at `start`
+const getOccurrenceEnd = (series, start) => {
+  const timeZone = getSeriesTimeZone(series);
+  return fromWallTime(toWallTime(start, timeZone) + getWallDuration(series, timeZone), timeZone);
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Candidate days (as [year, month, day]) in the n-th period after the series start
+const candidateDays = (start, rule, period) => {
+  const step = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    const date = new Date(Date.UTC(start.year, start.month, start.day + step));
+    if (rule.byDay && !rule.byDay.some(d => d.weekday === date.getUTCDay())) return [];
+    return [[date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()]];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (WKST=MO)
+    const mondayOffset = (start.weekday + 6) % 7;
+    const weekdays = rule.byDay ? rule.byDay.map(d => d.weekday) : [start.weekday];
+    const offsets = [...new Set(weekdays.map(w => (w + 6) % 7))].sort((a, b) => a - b);
+
+    return offsets.map(offset => {
+      const date = new Date(Date.UTC(start.year, start.month, start.day - mondayOffset + step * 7 + offset));
+      return [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+    });
+  }
+
+  // MONTHLY
+  const monthStart = new Date(Date.UTC(start.year, start.month + step, 1));
+  const year = monthStart.getUTCFullYear();
+  const month = monthStart.getUTCMonth();
+  const lastDay = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay.map(d => (d < 0 ? lastDay + d + 1 : d));
+  } else if (rule.byDay) {
+    days = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const firstMatch = 1 + ((weekday - monthStart.getUTCDay() + 7) % 7);
+      const matches = [];
+      for (let day = firstMatch; day <= lastDay; day += 7) matches.push(day);
+
+      if (ordinal === null) {
+        days.push(...matches);
+      } else {
+        const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (day) days.push(day);
+      }
+    }
+  } else {
+    // Months without the start day (e.g. the 31st) are skipped, as RFC 5545 requires
+    days = [start.day];
+  }
+
+  return [...new Set(days)]
+    .filter(day => day >= 1 && day <= lastDay)
+    .sort((a, b) => a - b)
+    .map(day => [year, month, day]);
+};
+
+// Yields occurrence start times in order, honouring COUNT and UNTIL but not EXDATE
+// (RFC 5545 counts excluded instances towards COUNT)
+function* iterateStarts(dtstart, rule, timeZone = 'UTC') {
+  const start = getStartParts(dtstart, timeZone);
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const [year, month, day] of candidateDays(start, rule, period)) {
+      const occurrenceStart = buildDate(year, month, day, start.time, timeZone);
+      if (occurrenceStart < dtstart) continue;
+      if (rule.until && occurrenceStart > rule.until) return;
+
+      yield occurrenceStart;
+      emitted++;
+      if (rule.count && emitted >= rule.count) return;
+    }
+  }
+}
+
+// Occurrences ({ start, end }) of a series overlapping [rangeStart, rangeEnd).
+// With `matchStart`, only occurrences starting inside [rangeStart, rangeEnd] are returned.
+const expandOccurrences = (series, rangeStart, rangeEnd, { matchStart = false } = {}) => {
+  const rule = parseRRule(series.recurrence.rrule);
+  const timeZone = getSeriesTimeZone(series);
+  const excluded = new Set((series.recurrence.exdates || []).map(d => new Date(d).getTime()));
+  const occurrences = [];
+
+  for (const start of iterateStarts(new Date(series.startTime), rule, timeZone)) {
+    if (matchStart ? start > rangeEnd : start >= rangeEnd) break;
+
+    const end = getOccurrenceEnd(series, start);
+    const inRange = matchStart ? start >= rangeStart : end > rangeStart;
+
+    if (inRange && !excluded.has(start.getTime())) {
+      occurrences.push({ start, end });
+      if (occurrences.length >= MAX_OCCURRENCES) break;
+    }
+  }
+
+  return occurrences;
+};
+
+// Number of occurrences (excluded ones included) starting before `date`
+const countOccurrencesBefore = (series, date) => {
+  let count = 0;
+  for (const start of iterateStarts(new Date(series.startTime), parseRRule(series.recurrence.rrule), getSeriesTimeZone(series))) {
+    if (start >= date) break;
+    count++;
+  }
+  return count;
+};
+
+// Whether `date` is exactly the start of one of the series' occurrences
+const isOccurrenceStart = (series, date) => {
+  for (const start of iterateStarts(new Date(series.startTime), parseRRule(series.recurrence.rrule), getSeriesTimeZone(series))) {
+    if (start.getTime() === date.getTime()) return true;
+    if (start > date) return false;
+  }
+  return false;
+};
+
+// End of the last occurrence, or null for a series that repeats forever
+const getSeriesEnd = (series) => {
+  const rule = parseRRule(series.recurrence.rrule);
+  if (!rule.count && !rule.until) return null;
+
+  let lastStart = null;
+  for (const start of iterateStarts(new Date(series.startTime), rule, getSeriesTimeZone(series))) {
+    lastStart = start;
+  }
+  return lastStart ? getOccurrenceEnd(series, lastStart) : new Date(series.endTime);
+};
+
+// Occurrences are addressed as "<seriesId>_<start in iCal UTC form>"
+const formatOccurrenceId = (seriesId, start) => `${seriesId}_${formatICalDate(start)}`;
+
+const parseOccurrenceId = (id) => {
+  const match = OCCURRENCE_ID_PATTERN.exec(String(id));
+  if (!match) return null;
+  return { seriesId: match[1], start: parseICalDate(match[2].toUpperCase()) };
+};
+
+module.exports = {
+  DAY_MS,
+  MAX_OCCURRENCES,
+  parseRRule,
+  formatRRule,
+  isValidRRule,
+  normalizeRecurrence,
+  expandOccurrences,
+  getOccurrenceEnd,
+  countOccurrencesBefore,
+  isOccurrenceStart,
+  getSeriesEnd,
+  formatICalDate,
+  parseICalDate,
+  formatOccurrenceId,
+  parseOccurrenceId
+};
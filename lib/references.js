@@ -0,0 +1,163 @@
+const { getParticipants, findMeetingsInRange } = require('./meetings');
+const { DAY_MS } = require('./recurrence');
+const { parseDateTime, formatDateTime, startOfDay, shiftWallTime } = require('./timezone');
+
+// Works out which meeting a user means ("the design sync", "my 3pm", "my next meeting with Sam").
+// Every clue given scores each nearby meeting between 0 and 1; a meeting's confidence is the average.
+// One clear winner is resolved, otherwise the caller should ask the user which meeting they meant.
+
+// How far back and ahead meetings are considered when no time or date narrows it down
+const LOOKBACK_DAYS = 7;
+const LOOKAHEAD_DAYS = 60;
+
+// A match is only resolved at this confidence, and this far ahead of the runner-up
+const MIN_CONFIDENCE = 0.6;
+const AMBIGUITY_MARGIN = 0.15;
+
+const MAX_CANDIDATES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+// Words that say nothing about which meeting is meant
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'my', 'our', 'with', 'meeting', 'meetings', 'call', 'event']);
+
+const getWords = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word && !FILLER_WORDS.has(word));
+
+// Share of the words found in the title (description matches count half)
+const scoreText = (meeting, text) => {
+  const title = (meeting.title || '').toLowerCase();
+  if (title === String(text).trim().toLowerCase()) return 1;
+
+  const words = getWords(text);
+  if (words.length === 0) return 0;
+  const description = (meeting.description || '').toLowerCase();
+  const points = words.reduce((sum, word) =>
+    sum + (title.includes(word) ? 1 : description.includes(word) ? 0.5 : 0), 0);
+  return 0.9 * points / words.length;
+};
+
+// How well a meeting fits a stated time ("my 3pm"): starting then, shortly around it, or running at it
+const scoreTime = (meeting, at) => {
+  const minutes = Math.abs(meeting.startTime - at) / MINUTE_MS;
+  if (minutes === 0) return 1;
+  if (minutes <= 15) return 0.8;
+  if (meeting.startTime <= at && meeting.endTime > at) return 0.6;
+  if (minutes <= 60) return 0.5;
+  return 0;
+};
+
+const includesText = (value, text) => (value || '').toLowerCase().includes(String(text).trim().toLowerCase());
+
+const scoreAttendee = (meeting, attendee) =>
+  [...getParticipants(meeting)].some(person => includesText(person, attendee)) ? 1 : 0;
+
+// The window to look in: around the stated time, the stated local day, or around now
+const getSearchRange = ({ time, date, next }, { timeZone, now }) => {
+  if (time) {
+    const at = parseDateTime(time, timeZone);
+    return { start: new Date(at.getTime() - DAY_MS / 2), end: new Date(at.getTime() + DAY_MS / 2), at };
+  }
+  if (date) {
+    const start = startOfDay(parseDateTime(date, timeZone), timeZone);
+    return { start, end: shiftWallTime(start, DAY_MS, timeZone) };
+  }
+  return {
+    start: next ? now : new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS),
+    end: new Date(now.getTime() + LOOKAHEAD_DAYS * DAY_MS)
+  };
+};
+
+// Without a time or date, a recurring meeting stands for its next occurrence (or its last one, if it is over)
+const collapseSeries = (meetings, now) => {
+  const bySeries = new Map();
+  // Meetings come in start order: keep the first upcoming occurrence, or else the latest past one
+  for (const meeting of meetings) {
+    const key = meeting.isOccurrence ? String(meeting.seriesId) : String(meeting._id);
+    const current = bySeries.get(key);
+    if (!current || current.endTime <= now) bySeries.set(key, meeting);
+  }
+  return [...bySeries.values()];
+};
+
+const joinChoices = (choices) => choices.length > 1
+  ? `${choices.slice(0, -1).join(', ')} or ${choices[choices.length - 1]}`
+  : choices[0];
+
+// Finds the meetings matching a description. `reference` is { text, time, date, attendee, location, next }:
+// words of the title or description, a local start time ("my 3pm"), a local day, a person, a place,
+// and next: true for the next upcoming match. Times without an offset are read in `timeZone`.
+// Returns { meeting, candidates: [{ meeting, confidence, reasons }], question } — meeting is set only
+// for an unambiguous match, question otherwise — or { error, status }.
+const findMeetingReferences = async (calendarId, reference = {}, { timeZone, now = new Date() } = {}) => {
+  const { text, time, date, attendee, location, next } = reference;
+  if (!text && !time && !date && !attendee && !location && !next) {
+    return { error: 'Describe the meeting by title, time, date, attendee or location', status: 400 };
+  }
+
+  const range = getSearchRange(reference, { timeZone, now });
+  if (isNaN(range.start.getTime()) || isNaN(range.end.getTime())) {
+    return { error: 'Invalid date format for time or date', status: 400 };
+  }
+
+  let meetings = await findMeetingsInRange(calendarId, range.start, range.end);
+  if (!time && !date) meetings = collapseSeries(meetings, now);
+
+  const scored = meetings.map(meeting => {
+    const scores = [];
+    const reasons = [];
+    if (text) {
+      scores.push(scoreText(meeting, text));
+      reasons.push(`title "${meeting.title}"`);
+    }
+    if (range.at) {
+      scores.push(scoreTime(meeting, range.at));
+      reasons.push(`starts ${formatDateTime(meeting.startTime, timeZone)}`);
+    }
+    if (attendee) {
+      scores.push(scoreAttendee(meeting, attendee));
+      reasons.push(`with ${attendee}`);
+    }
+    if (location) {
+      scores.push(includesText(meeting.location, location) ? 1 : 0);
+      reasons.push(`at ${meeting.location}`);
+    }
+    return { meeting, scores, reasons };
+  }).filter(c => c.scores.every(score => score > 0));
+
+  // Nearest first among equally good matches, upcoming before past ones
+  const distance = (meeting) => meeting.endTime > now ? meeting.startTime - now : now - meeting.startTime + LOOKAHEAD_DAYS * DAY_MS;
+  const upcoming = scored.filter(c => c.meeting.startTime >= now).sort((a, b) => a.meeting.startTime - b.meeting.startTime);
+
+  const candidates = scored.map(c => {
+    const scores = [...c.scores];
+    // "My next meeting": the first upcoming match counts fully, later ones less and less
+    if (next) {
+      const rank = upcoming.indexOf(c);
+      scores.push(rank < 0 ? 0 : 1 / (rank + 1));
+    }
+    const confidence = scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : 0;
+    return { meeting: c.meeting, confidence: Math.round(confidence * 100) / 100, reasons: c.reasons };
+  })
+    .filter(c => c.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence || distance(a.meeting) - distance(b.meeting))
+    .slice(0, MAX_CANDIDATES);
+
+  const [best, runnerUp] = candidates;
+  const resolved = best && best.confidence >= MIN_CONFIDENCE &&
+    (!runnerUp || best.confidence - runnerUp.confidence >= AMBIGUITY_MARGIN);
+
+  if (resolved) {
+    return { meeting: best.meeting, candidates, question: null };
+  }
+
+  const question = candidates.length > 0
+    ? `Which meeting do you mean: ${joinChoices(candidates.slice(0, 3).map(c =>
+      `"${c.meeting.title}" at ${formatDateTime(c.meeting.startTime, timeZone)}`))}?`
+    : 'No meeting matches that description. Which meeting do you mean (title, day or time)?';
+  return { meeting: null, candidates, question };
+};
+
+module.exports = {
+  findMeetingReferences
+};
@@ -0,0 +1,190 @@
+const Meeting = require('../models/Meeting');
+const { normalizeAttendees, checkTimeConflict, resolveMeeting } = require('./meetings');
+const { updateMeeting } = require('./series');
+const { findNearestSlots } = require('./availability');
+const { isLowerPriority } = require('./prioritization');
+const { getChangeSet } = require('./history');
+const { syncConflictLinks } = require('./conflictLinks');
+
+const MINUTE_MS = 60 * 1000;
+
+// A shortened meeting must still be at least this long
+const MIN_SHORTENED_MINUTES = 15;
+
+const PROPOSAL_TYPES = ['reschedule', 'shorten', 'move_conflicting'];
+
+const minutesBetween = (a, b) => Math.round(Math.abs(b - a) / MINUTE_MS);
+
+const describe = (meeting) => ({
+  id: meeting._id,
+  title: meeting.title,
+  startTime: meeting.startTime,
+  endTime: meeting.endTime
+});
+
+// Concrete alternatives for a meeting that clashes with `conflicts`, each with a short reason:
+// the nearest free slots before/after, a shortened meeting that avoids the clash,
+// or moving the single lower-priority meeting it clashes with.
+// `meeting` is the requested meeting ({ title, startTime, endTime, organizer, attendees, location, ... });
+// pass `meetingId` when it was already created so proposals update it instead of creating it.
+const buildResolutionProposals = async (calendarId, meeting, conflicts, { meetingId = null } = {}) => {
+  const startTime = new Date(meeting.startTime);
+  const endTime = new Date(meeting.endTime);
+  const duration = minutesBetween(startTime, endTime);
+  const proposals = [];
+
+  const nearest = await findNearestSlots(calendarId, meeting, { excludeMeetingId: meetingId });
+
+  if (nearest.after) {
+    proposals.push({
+      type: 'reschedule',
+      reason: `Nearest free slot after the requested time (${minutesBetween(startTime, nearest.after.startTime)} minutes later)`,
+      startTime: nearest.after.startTime,
+      endTime: nearest.after.endTime
+    });
+  }
+
+  if (nearest.before) {
+    proposals.push({
+      type: 'reschedule',
+      reason: `Nearest free slot before the requested time (${minutesBetween(nearest.before.startTime, startTime)} minutes earlier)`,
+      startTime: nearest.before.startTime,
+      endTime: nearest.before.endTime
+    });
+  }
+
+  const firstConflictStart = new Date(Math.min(...conflicts.map(c => new Date(c.startTime))));
+  const lastConflictEnd = new Date(Math.max(...conflicts.map(c => new Date(c.endTime))));
+
+  if (firstConflictStart > startTime && minutesBetween(startTime, firstConflictStart) >= MIN_SHORTENED_MINUTES) {
+    proposals.push({
+      type: 'shorten',
+      reason: `End when the conflicting meeting starts (${minutesBetween(startTime, firstConflictStart)} minutes instead of ${duration})`,
+      startTime,
+      endTime: firstConflictStart
+    });
+  }
+
+  if (lastConflictEnd < endTime && minutesBetween(lastConflictEnd, endTime) >= MIN_SHORTENED_MINUTES) {
+    proposals.push({
+      type: 'shorten',
+      reason: `Start after the conflicting meeting ends (${minutesBetween(lastConflictEnd, endTime)} minutes instead of ${duration})`,
+      startTime: lastConflictEnd,
+      endTime
+    });
+  }
+
+  // Priority, required/movable flags and the number of people decide which meeting gives way
+  if (conflicts.length === 1 && conflicts[0].movable !== false && isLowerPriority(conflicts[0], meeting)) {
+    const conflict = conflicts[0];
+    const slot = await findNearestSlots(calendarId, conflict, {
+      excludeMeetingId: conflict._id,
+      extraBusy: [{ start: startTime, end: endTime }]
+    });
+
+    if (slot.after) {
+      proposals.push({
+        type: 'move_conflicting',
+        reason: `Move "${conflict.title}" (lower priority) to its nearest free slot and keep the requested time`,
+        startTime,
+        endTime,
+        moveMeeting: {
+          ...describe(conflict),
+          newStartTime: slot.after.startTime,
+          newEndTime: slot.after.endTime
+        }
+      });
+    }
+  }
+
+  return proposals.map((proposal, index) => ({
+    option: index + 1,
+    ...proposal,
+    meetingId: meetingId || undefined,
+    meeting: {
+      title: meeting.title,
+      description: meeting.description,
+      organizer: meeting.organizer,
+      attendees: normalizeAttendees(meeting.attendees),
+      location: meeting.location,
+      priority: meeting.priority,
+      movable: meeting.movable,
+      required: meeting.required,
+      timeZone: meeting.timeZone,
+      allDay: meeting.allDay || undefined,
+      recurrence: meeting.recurrence?.rrule ? meeting.recurrence : undefined
+    }
+  }));
+};
+
+// Applies one proposal from buildResolutionProposals in a single step, recorded as one change in the history.
+// `context` ({ source, sessionId }) says who made the change.
+// Returns { meeting, movedMeeting, conflicts } or { error, status }.
+const applyResolutionProposal = async (calendarId, proposal, context = {}) => {
+  if (!proposal || !PROPOSAL_TYPES.includes(proposal.type)) {
+    return { error: `proposal.type must be one of: ${PROPOSAL_TYPES.join(', ')}`, status: 400 };
+  }
+
+  const startTime = new Date(proposal.startTime);
+  const endTime = new Date(proposal.endTime);
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || endTime <= startTime) {
+    return { error: 'proposal has an invalid startTime/endTime', status: 400 };
+  }
+
+  // Everything is checked before the first write, so a proposal that fails leaves the calendar as it was
+  const move = proposal.type === 'move_conflicting' ? proposal.moveMeeting || {} : null;
+  if (move && !await resolveMeeting(move.id, calendarId)) {
+    return { error: `Could not move "${move.title}": Meeting not found`, status: 404 };
+  }
+
+  let details = null;
+  if (proposal.meetingId) {
+    if (!await resolveMeeting(proposal.meetingId, calendarId)) {
+      return { error: 'Meeting not found', status: 404 };
+    }
+  } else {
+    details = { calendarId, ...proposal.meeting, attendees: normalizeAttendees(proposal.meeting?.attendees) };
+    if (!details.title) {
+      return { error: 'proposal.meeting.title is required', status: 400 };
+    }
+
+    // The meeting moved out of the way no longer counts
+    const conflicts = (await checkTimeConflict(startTime, endTime, null, details))
+      .filter(c => !move || String(c._id) !== String(move.id));
+    if (conflicts.length > 0) {
+      return { error: 'The proposed time is no longer free', status: 409, conflicts };
+    }
+  }
+
+  // Moving the other meeting and placing this one are undone together
+  const changeContext = { ...context, changeSet: getChangeSet(calendarId, context) };
+
+  let movedMeeting = null;
+  if (move) {
+    const moveResult = await updateMeeting(calendarId, move.id, {
+      startTime: move.newStartTime,
+      endTime: move.newEndTime
+    }, undefined, changeContext);
+    if (moveResult.error) {
+      return { error: `Could not move "${move.title}": ${moveResult.error}`, status: moveResult.status };
+    }
+    movedMeeting = moveResult.meeting;
+  }
+
+  // The meeting already exists (REST creates it despite conflicts): just move it
+  if (proposal.meetingId) {
+    const result = await updateMeeting(calendarId, proposal.meetingId, { startTime, endTime }, undefined, changeContext);
+    if (result.error) return result;
+    return { meeting: result.meeting, movedMeeting, conflicts: result.conflicts };
+  }
+
+  const meeting = new Meeting({ ...details, startTime, endTime, hasConflict: false });
+  await changeContext.changeSet.save(meeting);
+  await syncConflictLinks(meeting, []);
+  return { meeting, movedMeeting, conflicts: [] };
+};
+
+module.exports = {
+  buildResolutionProposals,
+  applyResolutionProposal
+};
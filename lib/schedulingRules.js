@@ -0,0 +1,306 @@
+const SchedulingRules = require('../models/SchedulingRules');
+const {
+  DEFAULT_CALENDAR_ID,
+  findMeetingsInRange,
+  getConflictWindows,
+  getRoom,
+  sharesPersonOrRoom
+} = require('./meetings');
+const { DAY_MS } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, toWallTime, fromWallTime, getWeekdayName } = require('./timezone');
+
+// Per-calendar scheduling rules (buffers, travel time, working hours, focus time) and the soft conflicts
+// a meeting has with them. Soft conflicts never block a meeting; they are reported next to hard overlaps.
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00' };
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+// Longest buffer or travel time accepted
+const MAX_GAP_MINUTES = 240;
+
+// A recurring meeting reports at most this many soft conflicts
+const MAX_SOFT_CONFLICTS = 20;
+
+const SOFT_CONFLICT_TYPES = ['buffer', 'travel', 'outside_working_hours', 'focus_time'];
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// "09:30" -> minutes after midnight
+const parseClockTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+};
+
+// Accepts [1, 2], "1,2" or iCalendar day codes ("MO,TU")
+const parseWorkingDays = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_WORKING_DAYS;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+
+  const days = list.map(token => {
+    const text = String(token).trim().toUpperCase();
+    const day = /^\d$/.test(text) ? Number(text) : WEEKDAY_CODES.indexOf(text.slice(0, 2));
+    return day >= 0 && day <= 6 ? day : null;
+  });
+
+  return days.includes(null) ? null : [...new Set(days)];
+};
+
+const parseGapMinutes = (value, field) => {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_GAP_MINUTES) {
+    return { error: `${field} must be a whole number of minutes between 0 and ${MAX_GAP_MINUTES}` };
+  }
+  return { minutes };
+};
+
+// "HH:MM" start/end with the end after the start; returns an error message or null
+const validateClockRange = ({ start, end } = {}, field) => {
+  const from = parseClockTime(start);
+  const to = parseClockTime(end);
+  return from === null || to === null || to <= from ? `${field} must have HH:MM start and end, with the end after the start` : null;
+};
+
+// Checks rule input; returns { update } (a MongoDB update) or { error }
+const parseRuleChanges = (input) => {
+  const set = {};
+  const unset = {};
+
+  if (input.timeZone !== undefined) {
+    if (input.timeZone && !isValidTimeZone(input.timeZone)) return { error: `Invalid time zone: ${input.timeZone}` };
+    if (input.timeZone) set.timeZone = input.timeZone;
+    else unset.timeZone = 1;
+  }
+
+  for (const field of ['bufferMinutes', 'defaultTravelMinutes']) {
+    if (input[field] === undefined) continue;
+    const parsed = parseGapMinutes(input[field], field);
+    if (parsed.error) return parsed;
+    set[field] = parsed.minutes;
+  }
+
+  if (input.travelTimes !== undefined) {
+    if (!Array.isArray(input.travelTimes)) return { error: 'travelTimes must be a list of { from, to, minutes }' };
+    const travelTimes = [];
+    for (const entry of input.travelTimes) {
+      if (!entry?.from || !entry?.to) return { error: 'Each travel time needs a from and a to location' };
+      const parsed = parseGapMinutes(entry.minutes, 'travelTimes minutes');
+      if (parsed.error) return parsed;
+      travelTimes.push({ from: String(entry.from).trim(), to: String(entry.to).trim(), minutes: parsed.minutes });
+    }
+    set.travelTimes = travelTimes;
+  }
+
+  if (input.workingHours !== undefined) {
+    if (input.workingHours === null) {
+      unset.workingHours = 1;
+    } else {
+      const error = validateClockRange(input.workingHours, 'workingHours');
+      if (error) return { error };
+      set.workingHours = { start: input.workingHours.start, end: input.workingHours.end };
+    }
+  }
+
+  if (input.workingDays !== undefined) {
+    const workingDays = parseWorkingDays(input.workingDays);
+    if (!workingDays) return { error: 'workingDays must be weekday numbers (0 = Sunday) or codes like MO,TU' };
+    set.workingDays = workingDays;
+  }
+
+  if (input.focusBlocks !== undefined) {
+    if (!Array.isArray(input.focusBlocks)) return { error: 'focusBlocks must be a list of { label, days, start, end }' };
+    const focusBlocks = [];
+    for (const block of input.focusBlocks) {
+      const error = validateClockRange(block, 'Each focus block');
+      if (error) return { error };
+      const days = parseWorkingDays(block.days);
+      if (!days) return { error: 'Focus block days must be weekday numbers (0 = Sunday) or codes like MO,TU' };
+      focusBlocks.push({ label: block.label, days, start: block.start, end: block.end });
+    }
+    set.focusBlocks = focusBlocks;
+  }
+
+  const update = {};
+  if (Object.keys(set).length > 0) update.$set = set;
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+  return { update };
+};
+
+// The rules of a calendar as a plain object, or null when none were set
+const getSchedulingRules = async (calendarId) => {
+  return SchedulingRules.findOne({ calendarId: calendarId || DEFAULT_CALENDAR_ID }).lean();
+};
+
+// Creates or changes the rules of a calendar. Fields left out keep their value;
+// workingHours: null stops checking working hours. Returns { rules } or { error, status }.
+const updateSchedulingRules = async (calendarId, input = {}) => {
+  const parsed = parseRuleChanges(input);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+
+  const rules = await SchedulingRules.findOneAndUpdate(
+    { calendarId: calendarId || DEFAULT_CALENDAR_ID },
+    parsed.update,
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return { rules };
+};
+
+const getWorkingDays = (rules) => (rules.workingDays?.length > 0 ? rules.workingDays : DEFAULT_WORKING_DAYS);
+
+// Minutes needed between two different rooms: a listed pair (either direction) or the default
+const getTravelMinutes = (rules, roomA, roomB) => {
+  const pair = (rules.travelTimes || []).find(t => {
+    const from = getRoom(t.from);
+    const to = getRoom(t.to);
+    return (from === roomA && to === roomB) || (from === roomB && to === roomA);
+  });
+  return pair ? pair.minutes : rules.defaultTravelMinutes || 0;
+};
+
+// Longest gap any rule asks for, in minutes
+const getMaxGapMinutes = (rules) => Math.max(
+  rules.bufferMinutes || 0,
+  rules.defaultTravelMinutes || 0,
+  ...(rules.travelTimes || []).map(t => t.minutes)
+);
+
+// Focus time intervals ({ start, end, label }) between rangeStart and rangeEnd
+const getFocusIntervals = (rules, rangeStart, rangeEnd, timeZone) => {
+  const intervals = [];
+  const firstDay = Math.floor(toWallTime(rangeStart, timeZone) / DAY_MS) * DAY_MS;
+  const lastDay = toWallTime(rangeEnd, timeZone);
+
+  for (let day = firstDay; day < lastDay; day += DAY_MS) {
+    const weekday = new Date(day).getUTCDay();
+    for (const block of rules.focusBlocks || []) {
+      if (!(block.days?.length > 0 ? block.days : DEFAULT_WORKING_DAYS).includes(weekday)) continue;
+      const start = fromWallTime(day + parseClockTime(block.start) * MINUTE_MS, timeZone);
+      const end = fromWallTime(day + parseClockTime(block.end) * MINUTE_MS, timeZone);
+      if (start < rangeEnd && end > rangeStart) intervals.push({ start, end, label: block.label });
+    }
+  }
+
+  return intervals;
+};
+
+// Too little buffer next to a neighbouring meeting, or too little time to travel between their rooms
+const checkGaps = (window, meeting, neighbours, rules) => {
+  const found = [];
+  const room = getRoom(meeting.location);
+  const buffer = rules.bufferMinutes || 0;
+
+  for (const other of neighbours) {
+    const otherStart = new Date(other.startTime);
+    const otherEnd = new Date(other.endTime);
+    const before = otherEnd <= window.start;
+    // Overlaps are hard conflicts, reported by checkTimeConflict
+    if (!before && otherStart < window.end) continue;
+
+    const gap = Math.round((before ? window.start - otherEnd : otherStart - window.end) / MINUTE_MS);
+    const otherRoom = getRoom(other.location);
+    const travel = room && otherRoom && room !== otherRoom ? getTravelMinutes(rules, room, otherRoom) : 0;
+    const required = Math.max(travel, buffer);
+    if (gap >= required) continue;
+
+    const [from, to] = before ? [other.location, meeting.location] : [meeting.location, other.location];
+    found.push({
+      type: travel >= buffer ? 'travel' : 'buffer',
+      message: travel >= buffer
+        ? `Only ${gap} minutes to get from ${from} to ${to}; ${travel} are needed`
+        : `Only ${gap} minutes ${before ? 'after' : 'before'} "${other.title}"; the buffer is ${buffer} minutes`,
+      startTime: window.start,
+      endTime: window.end,
+      meetingId: other._id,
+      title: other.title,
+      gapMinutes: gap,
+      requiredMinutes: required
+    });
+  }
+
+  return found;
+};
+
+const checkWorkingHours = (window, rules, timeZone) => {
+  const { start, end } = rules.workingHours || {};
+  if (!start || !end) return null;
+
+  const localStart = toWallTime(window.start, timeZone);
+  const localEnd = toWallTime(window.end, timeZone);
+  const day = Math.floor(localStart / DAY_MS) * DAY_MS;
+  const outside = { type: 'outside_working_hours', startTime: window.start, endTime: window.end };
+
+  if (!getWorkingDays(rules).includes(new Date(day).getUTCDay())) {
+    return { ...outside, message: `${getWeekdayName(window.start, timeZone)} is not a working day` };
+  }
+  if (localStart < day + parseClockTime(start) * MINUTE_MS || localEnd > day + parseClockTime(end) * MINUTE_MS) {
+    return { ...outside, message: `Outside working hours (${start}-${end}, ${timeZone})` };
+  }
+  return null;
+};
+
+const checkFocusTime = (window, rules, timeZone) => {
+  return getFocusIntervals(rules, window.start, window.end, timeZone).map(focus => ({
+    type: 'focus_time',
+    message: `Overlaps focus time${focus.label ? ` "${focus.label}"` : ''}`,
+    startTime: window.start,
+    endTime: window.end,
+    focusStart: focus.start,
+    focusEnd: focus.end
+  }));
+};
+
+// Soft conflicts of a meeting with its calendar's rules: too little buffer or travel time next to meetings
+// sharing a person or room, times outside working hours and overlaps with focus time (the last two are not
+// checked for all-day meetings). Every occurrence of a recurring meeting is checked.
+// `meeting` is { startTime, endTime, organizer, attendees, location, recurrence, timeZone, allDay }.
+// Returns [{ type, message, startTime, endTime, ... }]; [] when the calendar has no rules.
+const checkSchedulingRules = async (calendarId, meeting, { excludeMeetingId = null } = {}) => {
+  const rules = await getSchedulingRules(calendarId);
+  if (!rules) return [];
+
+  const windows = getConflictWindows(new Date(meeting.startTime), new Date(meeting.endTime), meeting);
+  if (windows.length === 0) return [];
+
+  const timeZone = rules.timeZone || meeting.timeZone || DEFAULT_TIME_ZONE;
+  const maxGap = getMaxGapMinutes(rules) * MINUTE_MS;
+
+  const neighbours = maxGap > 0
+    ? (await findMeetingsInRange(
+      calendarId,
+      new Date(windows[0].start.getTime() - maxGap),
+      new Date(windows[windows.length - 1].end.getTime() + maxGap),
+      { excludeMeetingId }
+    )).filter(m => sharesPersonOrRoom(meeting, m))
+    : [];
+
+  const found = [];
+  for (const window of windows) {
+    const nearby = neighbours.filter(m => m.endTime >= window.start - maxGap && m.startTime <= window.end.getTime() + maxGap);
+    found.push(...checkGaps(window, meeting, nearby, rules));
+
+    if (!meeting.allDay) {
+      const hours = checkWorkingHours(window, rules, timeZone);
+      if (hours) found.push(hours);
+      found.push(...checkFocusTime(window, rules, timeZone));
+    }
+
+    if (found.length >= MAX_SOFT_CONFLICTS) break;
+  }
+
+  return found.slice(0, MAX_SOFT_CONFLICTS);
+};
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_WORKING_DAYS,
+  SOFT_CONFLICT_TYPES,
+  parseClockTime,
+  parseWorkingDays,
+  getSchedulingRules,
+  updateSchedulingRules,
+  getFocusIntervals,
+  checkSchedulingRules
+};
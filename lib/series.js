@@ -0,0 +1,357 @@
+const Meeting = require('../models/Meeting');
+const {
+  calendarScope,
+  normalizeAttendees,
+  validateImportance,
+  isRecurring,
+  buildOccurrence,
+  flagConflicts,
+  checkTimeConflict,
+  resolveMeeting
+} = require('./meetings');
+const { recordConflict, resolveMeetingConflicts } = require('./conflicts');
+const { syncConflictLinks, refreshMeetingConflicts, removeConflictLinks } = require('./conflictLinks');
+const { getChangeSet } = require('./history');
+const {
+  parseRRule,
+  formatRRule,
+  normalizeRecurrence,
+  getOccurrenceEnd,
+  countOccurrencesBefore
+} = require('./recurrence');
+const { parseDateTime, shiftWallTime, toWallTime, isValidTimeZone, getAllDayBounds } = require('./timezone');
+
+// Edit scopes for recurring meetings
+const SCOPES = ['occurrence', 'following', 'series'];
+
+const applyDetails = (meeting, changes) => {
+  if (changes.title) meeting.title = changes.title;
+  if (changes.description !== undefined) meeting.description = changes.description;
+  if (changes.organizer !== undefined) meeting.organizer = changes.organizer;
+  if (changes.attendees !== undefined) meeting.attendees = normalizeAttendees(changes.attendees);
+  if (changes.location !== undefined) meeting.location = changes.location;
+  if (changes.priority) meeting.priority = changes.priority;
+  if (changes.movable !== undefined) meeting.movable = changes.movable;
+  if (changes.required !== undefined) meeting.required = changes.required;
+};
+
+// Copy of a series' details for a detached occurrence or a split-off series
+const copyDetails = (meeting) => ({
+  calendarId: meeting.calendarId,
+  title: meeting.title,
+  description: meeting.description,
+  organizer: meeting.organizer,
+  attendees: [...(meeting.attendees || [])],
+  location: meeting.location,
+  priority: meeting.priority,
+  movable: meeting.movable,
+  required: meeting.required,
+  timeZone: meeting.timeZone,
+  allDay: meeting.allDay
+});
+
+const parseDate = (value, timeZone) => {
+  if (!value) return null;
+  const date = parseDateTime(value, timeZone);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Moves each date by the same wall-clock shift, so series members keep their local time of day across DST
+const shiftDates = (dates, shift, timeZone) => dates.map(d => shiftWallTime(d, shift, timeZone));
+
+// Finds the meeting an ID points at and, for recurring meetings, the occurrence the edit starts from.
+// A detached occurrence edited with "following"/"series" scope is routed back to its series.
+const resolveTarget = async (calendarId, id, scope) => {
+  const target = await resolveMeeting(id, calendarId);
+  if (!target) return null;
+
+  const { meeting } = target;
+  if (meeting.seriesId && (scope === 'following' || scope === 'series')) {
+    const series = await Meeting.findOne({ _id: meeting.seriesId, ...calendarScope(calendarId) });
+    if (series && isRecurring(series)) {
+      const start = meeting.originalStartTime;
+      return { meeting: series, occurrence: { start, end: getOccurrenceEnd(series, start) } };
+    }
+  }
+
+  return target;
+};
+
+// Keeps the conflict log in step with a schedule change: new clashes are recorded as pending,
+// and a meeting moved clear of every clash resolves its pending conflicts
+const logScheduleChange = async (meeting, conflicts, context) => {
+  if (conflicts.length > 0) {
+    await recordConflict({
+      calendarId: meeting.calendarId,
+      meeting,
+      conflicts,
+      intent: 'RESCHEDULE_REQUEST',
+      conflictType: 'reschedule_assistance',
+      source: context.source,
+      sessionId: context.sessionId,
+      metadata: context.metadata
+    });
+  } else {
+    await resolveMeetingConflicts(meeting._id, 'rescheduled');
+  }
+};
+
+// Shifts detached occurrences from `from` onwards to another series (and/or in wall time)
+const moveDetachedOccurrences = async (seriesId, from, targetSeriesId, shift, timeZone, changeSet) => {
+  const detached = await Meeting.find({ seriesId, originalStartTime: { $gte: from } });
+  for (const meeting of detached) {
+    meeting.seriesId = targetSeriesId;
+    meeting.originalStartTime = shiftWallTime(meeting.originalStartTime, shift, timeZone);
+    await changeSet.save(meeting);
+  }
+};
+
+// Soft-deletes the detached occurrences matching `query`; returns their IDs
+const removeDetachedOccurrences = async (query, changeSet) => {
+  const detached = await Meeting.find(query);
+  for (const meeting of detached) {
+    await changeSet.remove(meeting);
+  }
+  return detached.map(m => m._id);
+};
+
+// Updates a one-off meeting, or a recurring meeting in the given scope:
+// - occurrence: detaches that occurrence into its own meeting
+// - following:  ends the series before the occurrence and starts a new series from it
+// - series:     edits the whole series (time changes shift every occurrence)
+// `context` ({ source, sessionId, timeZone }) says who made the change; times without an offset are read
+// in changes.timeZone, then the meeting's own zone, then context.timeZone. Every meeting written is recorded
+// in the change history, in context.changeSet if given.
+// Returns { meeting, conflicts } or { error, status }.
+const updateMeeting = async (calendarId, id, changes, scope, context = {}) => {
+  if (scope && !SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${SCOPES.join(', ')}`, status: 400 };
+  }
+  if (changes.timeZone && !isValidTimeZone(changes.timeZone)) {
+    return { error: `Invalid time zone: ${changes.timeZone}`, status: 400 };
+  }
+  const importanceError = validateImportance(changes);
+  if (importanceError) {
+    return { error: importanceError, status: 400 };
+  }
+
+  let recurrence = null;
+  try {
+    recurrence = normalizeRecurrence(changes.recurrence, changes.exdates);
+  } catch (error) {
+    return { error: error.message, status: 400 };
+  }
+
+  const target = await resolveTarget(calendarId, id, scope);
+  if (!target) {
+    return { error: 'Meeting not found', status: 404 };
+  }
+
+  const { meeting } = target;
+  const changeSet = getChangeSet(calendarId, context);
+  const timeZone = changes.timeZone || meeting.timeZone || context.timeZone;
+  let startTime = parseDate(changes.startTime, timeZone);
+  let endTime = parseDate(changes.endTime, timeZone);
+  if (startTime === undefined || endTime === undefined) {
+    return { error: 'Invalid date format for startTime or endTime', status: 400 };
+  }
+
+  const ref = target.occurrence || { start: meeting.startTime, end: meeting.endTime };
+
+  // All-day meetings snap to whole local days
+  const allDay = changes.allDay !== undefined ? !!changes.allDay : !!meeting.allDay;
+  if (allDay && (startTime || endTime || changes.allDay)) {
+    const bounds = getAllDayBounds(startTime || ref.start, endTime || (startTime ? null : ref.end), timeZone);
+    startTime = bounds.startTime;
+    endTime = bounds.endTime;
+  }
+  const newStart = startTime || ref.start;
+  const newEnd = endTime || ref.end;
+
+  if (newEnd <= newStart) {
+    return { error: 'endTime must be after startTime', status: 400 };
+  }
+
+  // Shifts are measured in the series' wall time so later occurrences keep their local time across DST
+  const seriesZone = meeting.timeZone || 'UTC';
+  const shift = toWallTime(newStart, seriesZone) - toWallTime(ref.start, seriesZone);
+  const duration = newEnd - newStart;
+  const scheduleChanged = newStart - ref.start !== 0 || duration !== ref.end - ref.start || !!recurrence ||
+    ['organizer', 'attendees', 'location'].some(field => changes[field] !== undefined);
+
+  // One-off meeting (or an already detached occurrence)
+  if (!isRecurring(meeting)) {
+    applyDetails(meeting, changes);
+    if (changes.timeZone) meeting.timeZone = changes.timeZone;
+    meeting.allDay = allDay;
+    meeting.startTime = newStart;
+    meeting.endTime = newEnd;
+    if (recurrence) meeting.recurrence = recurrence;
+
+    const conflicts = await checkTimeConflict(meeting.startTime, meeting.endTime, meeting._id, meeting);
+    flagConflicts(meeting, conflicts);
+    await changeSet.save(meeting);
+    await syncConflictLinks(meeting, conflicts);
+    if (scheduleChanged) await logScheduleChange(meeting, conflicts, context);
+    return { meeting, conflicts };
+  }
+
+  // Occurrence IDs default to editing just that occurrence, series IDs to the whole series
+  let effectiveScope = scope || (target.occurrence ? 'occurrence' : 'series');
+  if (effectiveScope === 'following' && ref.start <= meeting.startTime) {
+    effectiveScope = 'series';
+  }
+
+  if (effectiveScope === 'occurrence') {
+    // Exclude the original slot first so the detached meeting does not clash with itself
+    meeting.recurrence.exdates.push(ref.start);
+    await changeSet.save(meeting);
+
+    const detached = new Meeting({
+      ...copyDetails(meeting),
+      startTime: newStart,
+      endTime: newEnd,
+      allDay,
+      seriesId: meeting._id,
+      originalStartTime: ref.start
+    });
+    applyDetails(detached, changes);
+    if (changes.timeZone) detached.timeZone = changes.timeZone;
+
+    const conflicts = await checkTimeConflict(newStart, newEnd, null, detached);
+    flagConflicts(detached, conflicts);
+    await changeSet.save(detached);
+    await syncConflictLinks(detached, conflicts);
+    // The series no longer has the original slot
+    await refreshMeetingConflicts(meeting);
+    if (scheduleChanged) await logScheduleChange(detached, conflicts, context);
+    return { meeting: detached, conflicts };
+  }
+
+  if (effectiveScope === 'following') {
+    const rule = parseRRule(meeting.recurrence.rrule);
+    const tailRule = { ...rule };
+    if (rule.count) {
+      tailRule.count = rule.count - countOccurrencesBefore(meeting, ref.start);
+    }
+
+    const splitExdates = meeting.recurrence.exdates.filter(d => d >= ref.start);
+
+    // End the original series just before the split occurrence
+    meeting.recurrence.rrule = formatRRule({ ...rule, count: undefined, until: new Date(ref.start.getTime() - 1000) });
+    meeting.recurrence.exdates = meeting.recurrence.exdates.filter(d => d < ref.start);
+    await changeSet.save(meeting);
+
+    const following = new Meeting({
+      ...copyDetails(meeting),
+      startTime: newStart,
+      endTime: newEnd,
+      allDay,
+      recurrence: recurrence || {
+        rrule: formatRRule(tailRule),
+        exdates: shiftDates(splitExdates, shift, seriesZone)
+      }
+    });
+    applyDetails(following, changes);
+    if (changes.timeZone) following.timeZone = changes.timeZone;
+
+    const conflicts = await checkTimeConflict(newStart, newEnd, null, following);
+    flagConflicts(following, conflicts);
+    await changeSet.save(following);
+
+    await moveDetachedOccurrences(meeting._id, ref.start, following._id, shift, seriesZone, changeSet);
+    await syncConflictLinks(following, conflicts);
+    await refreshMeetingConflicts(meeting);
+    if (scheduleChanged) await logScheduleChange(following, conflicts, context);
+    return { meeting: following, conflicts };
+  }
+
+  // Whole series
+  applyDetails(meeting, changes);
+  meeting.allDay = allDay;
+  if (shift !== 0 || duration !== meeting.endTime - meeting.startTime) {
+    meeting.startTime = shiftWallTime(meeting.startTime, shift, seriesZone);
+    meeting.endTime = new Date(meeting.startTime.getTime() + duration);
+    meeting.recurrence.exdates = shiftDates(meeting.recurrence.exdates, shift, seriesZone);
+  }
+  if (changes.timeZone) meeting.timeZone = changes.timeZone;
+  if (recurrence) {
+    meeting.recurrence.rrule = recurrence.rrule;
+    meeting.recurrence.exdates.push(...recurrence.exdates);
+  }
+
+  const conflicts = await checkTimeConflict(meeting.startTime, meeting.endTime, meeting._id, meeting);
+  flagConflicts(meeting, conflicts);
+  await changeSet.save(meeting);
+
+  if (shift !== 0) {
+    await moveDetachedOccurrences(meeting._id, new Date(0), meeting._id, shift, seriesZone, changeSet);
+  }
+  await syncConflictLinks(meeting, conflicts);
+  if (scheduleChanged) await logScheduleChange(meeting, conflicts, context);
+
+  return { meeting, conflicts };
+};
+
+// Deletes a one-off meeting, or a recurring meeting in the given scope. Meetings are only marked deleted
+// (see lib/history.js), so the deletion can be undone.
+// Pending conflicts involving the removed meeting are recorded as cancelled, and meetings
+// that only clashed with it lose their hasConflict flag.
+// Detached occurrences are deleted along with their part of a series.
+// Returns { meeting } with what was removed, or { error, status }.
+const deleteMeeting = async (calendarId, id, scope, context = {}) => {
+  if (scope && !SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${SCOPES.join(', ')}`, status: 400 };
+  }
+
+  const target = await resolveTarget(calendarId, id, scope);
+  if (!target) {
+    return { error: 'Meeting not found', status: 404 };
+  }
+
+  const { meeting, occurrence } = target;
+  const changeSet = getChangeSet(calendarId, context);
+
+  if (!isRecurring(meeting)) {
+    await changeSet.remove(meeting);
+    await removeConflictLinks([meeting._id]);
+    await resolveMeetingConflicts(meeting._id, 'cancelled');
+    return { meeting };
+  }
+
+  const effectiveScope = scope || (occurrence ? 'occurrence' : 'series');
+  const ref = occurrence || { start: meeting.startTime, end: meeting.endTime };
+
+  if (effectiveScope === 'occurrence') {
+    meeting.recurrence.exdates.push(ref.start);
+    await changeSet.save(meeting);
+    await refreshMeetingConflicts(meeting);
+
+    const occurrenceMeeting = buildOccurrence(meeting, ref);
+    await resolveMeetingConflicts(occurrenceMeeting._id, 'cancelled');
+    return { meeting: occurrenceMeeting };
+  }
+
+  if (effectiveScope === 'following' && ref.start > meeting.startTime) {
+    const rule = parseRRule(meeting.recurrence.rrule);
+    meeting.recurrence.rrule = formatRRule({ ...rule, count: undefined, until: new Date(ref.start.getTime() - 1000) });
+    meeting.recurrence.exdates = meeting.recurrence.exdates.filter(d => d < ref.start);
+    await changeSet.save(meeting);
+    const detachedIds = await removeDetachedOccurrences({ seriesId: meeting._id, originalStartTime: { $gte: ref.start } }, changeSet);
+    await removeConflictLinks(detachedIds);
+    await refreshMeetingConflicts(meeting);
+    return { meeting: buildOccurrence(meeting, ref) };
+  }
+
+  const detachedIds = await removeDetachedOccurrences({ seriesId: meeting._id }, changeSet);
+  await changeSet.remove(meeting);
+  await removeConflictLinks([meeting._id, ...detachedIds]);
+  await resolveMeetingConflicts(meeting._id, 'cancelled');
+  return { meeting };
+};
+
+module.exports = {
+  SCOPES,
+  updateMeeting,
+  deleteMeeting
+};
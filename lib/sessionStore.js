@@ -0,0 +1,165 @@
+const connectToDatabase = require('../db');
+const Conversation = require('../models/Conversation');
+
+// How long an idle conversation is kept
+const DEFAULT_TTL_HOURS = 24;
+
+const getTtlMs = () => (Number(process.env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+// Every store has the same async interface:
+//   get(sessionId) -> messages ([] when unknown or expired)
+//   set(sessionId, messages) -> saves and renews the TTL
+//   getSettings(sessionId) -> per-session preferences such as { timeZone } ({} when unknown or expired)
+//   setSettings(sessionId, settings) -> saves and renews the TTL
+//   getPendingResolution(sessionId) -> the unanswered conflict proposals { conflictId, proposals }, or null
+//   setPendingResolution(sessionId, pending) -> saves them (null clears them) and renews the TTL
+//   getPendingActions(sessionId) -> tool calls waiting for confirmation (see lib/pendingActions.js), oldest first
+//   addPendingAction(sessionId, action) -> saves one and renews the TTL
+//   removePendingActions(sessionId, tokens) -> removes the actions with these tokens and returns the ones it removed
+//   delete(sessionId)
+//   count() -> number of live sessions
+
+// Process-local store for local development; lost on restart
+const createMemoryStore = ({ ttlMs = getTtlMs() } = {}) => {
+  const sessions = new Map();
+
+  const isLive = (entry) => entry && entry.expiresAt > Date.now();
+
+  const getEntry = (sessionId) => {
+    const entry = sessions.get(sessionId);
+    return isLive(entry) ? entry : { messages: [], settings: {}, pendingResolution: null, pendingActions: [] };
+  };
+
+  // Saves part of a session and renews its TTL
+  const update = (sessionId, values) => {
+    sessions.set(sessionId, { ...getEntry(sessionId), ...values, expiresAt: Date.now() + ttlMs });
+  };
+
+  return {
+    type: 'memory',
+    get: async (sessionId) => {
+      const entry = sessions.get(sessionId);
+      if (!isLive(entry)) {
+        sessions.delete(sessionId);
+        return [];
+      }
+      return [...entry.messages];
+    },
+    set: async (sessionId, messages) => {
+      update(sessionId, { messages: [...messages] });
+    },
+    getSettings: async (sessionId) => ({ ...getEntry(sessionId).settings }),
+    setSettings: async (sessionId, settings) => {
+      update(sessionId, { settings: { ...settings } });
+    },
+    getPendingResolution: async (sessionId) => getEntry(sessionId).pendingResolution || null,
+    setPendingResolution: async (sessionId, pending) => {
+      update(sessionId, { pendingResolution: pending || null });
+    },
+    getPendingActions: async (sessionId) => [...getEntry(sessionId).pendingActions],
+    addPendingAction: async (sessionId, action) => {
+      update(sessionId, { pendingActions: [...getEntry(sessionId).pendingActions, action] });
+    },
+    removePendingActions: async (sessionId, tokens) => {
+      const { pendingActions } = getEntry(sessionId);
+      if (pendingActions.length === 0) return [];
+      update(sessionId, { pendingActions: pendingActions.filter(a => !tokens.includes(a.token)) });
+      return pendingActions.filter(a => tokens.includes(a.token));
+    },
+    delete: async (sessionId) => {
+      sessions.delete(sessionId);
+    },
+    count: async () => {
+      for (const [sessionId, entry] of sessions) {
+        if (!isLive(entry)) sessions.delete(sessionId);
+      }
+      return sessions.size;
+    }
+  };
+};
+
+// MongoDB store shared by every instance; expired sessions are removed by a TTL index
+const createMongoStore = ({ ttlMs = getTtlMs() } = {}) => ({
+  type: 'mongo',
+  get: async (sessionId) => {
+    await connectToDatabase();
+    // The TTL monitor runs about once a minute, so filter out anything it has not removed yet
+    const conversation = await Conversation.findOne({ sessionId, expiresAt: { $gt: new Date() } }).lean();
+    return conversation ? conversation.messages : [];
+  },
+  set: async (sessionId, messages) => {
+    await connectToDatabase();
+    await Conversation.updateOne(
+      { sessionId },
+      { $set: { messages, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  },
+  getSettings: async (sessionId) => {
+    await connectToDatabase();
+    const conversation = await Conversation.findOne({ sessionId, expiresAt: { $gt: new Date() } }).lean();
+    return conversation?.settings || {};
+  },
+  setSettings: async (sessionId, settings) => {
+    await connectToDatabase();
+    await Conversation.updateOne(
+      { sessionId },
+      { $set: { settings, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  },
+  getPendingResolution: async (sessionId) => {
+    await connectToDatabase();
+    const conversation = await Conversation.findOne({ sessionId, expiresAt: { $gt: new Date() } }).lean();
+    return conversation?.pendingResolution || null;
+  },
+  setPendingResolution: async (sessionId, pending) => {
+    await connectToDatabase();
+    await Conversation.updateOne(
+      { sessionId },
+      { $set: { pendingResolution: pending || null, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  },
+  getPendingActions: async (sessionId) => {
+    await connectToDatabase();
+    const conversation = await Conversation.findOne({ sessionId, expiresAt: { $gt: new Date() } }).lean();
+    return conversation?.pendingActions || [];
+  },
+  addPendingAction: async (sessionId, action) => {
+    await connectToDatabase();
+    await Conversation.updateOne(
+      { sessionId },
+      { $push: { pendingActions: action }, $set: { expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  },
+  removePendingActions: async (sessionId, tokens) => {
+    await connectToDatabase();
+    // Pulled in one atomic update, so two confirmations arriving together cannot both run an action
+    const before = await Conversation.findOneAndUpdate(
+      { sessionId, expiresAt: { $gt: new Date() } },
+      { $pull: { pendingActions: { token: { $in: tokens } } } }
+    ).lean();
+    return (before?.pendingActions || []).filter(a => tokens.includes(a.token));
+  },
+  delete: async (sessionId) => {
+    await connectToDatabase();
+    await Conversation.deleteOne({ sessionId });
+  },
+  count: async () => {
+    await connectToDatabase();
+    return Conversation.countDocuments({ expiresAt: { $gt: new Date() } });
+  }
+});
+
+// SESSION_STORE=memory keeps conversations in process (local dev); MongoDB is the default
+const createSessionStore = (type = process.env.SESSION_STORE) => {
+  return type === 'memory' ? createMemoryStore() : createMongoStore();
+};
+
+module.exports = {
+  createSessionStore,
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,180 @@
+// IANA time zone helpers built on Intl (no tz database of our own).
+// "Wall time" below means the clock reading in a zone, stored as the UTC timestamp with the same
+// fields, so plain Date.UTC arithmetic on days and hours works without DST surprises.
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// "2025-12-05", "2025-12-05T14:00" or "2025-12-05T14:00:00.000" with no "Z" or offset
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall time of an instant in a zone
+const toWallTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const instant = new Date(date);
+  if (timeZone === 'UTC') return instant.getTime();
+
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = Number(value);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, instant.getUTCMilliseconds());
+};
+
+// Offset of the zone from UTC at an instant, in ms (e.g. +5h for Asia/Karachi)
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIME_ZONE) => toWallTime(date, timeZone) - new Date(date).getTime();
+
+// Instant of a wall time in a zone. A time skipped by a DST change moves forward by the gap;
+// a time that happens twice resolves to the first one.
+const fromWallTime = (wallTime, timeZone = DEFAULT_TIME_ZONE) => {
+  if (timeZone === 'UTC') return new Date(wallTime);
+
+  const before = getTimeZoneOffset(wallTime - 24 * 60 * 60 * 1000, timeZone);
+  const after = getTimeZoneOffset(wallTime + 24 * 60 * 60 * 1000, timeZone);
+
+  // Try the larger offset first, so an ambiguous time gets the earlier instant
+  for (const offset of [Math.max(before, after), Math.min(before, after)]) {
+    const candidate = wallTime - offset;
+    if (toWallTime(candidate, timeZone) === wallTime) return new Date(candidate);
+  }
+
+  // In a DST gap: keep the offset from before the change
+  return new Date(wallTime - before);
+};
+
+// Offset changes (DST starts and ends) of a zone within [from, to): [{ at, offsetFrom, offsetTo }], offsets in ms
+const getTimeZoneTransitions = (timeZone, from, to) => {
+  const transitions = [];
+  const hour = 60 * 60 * 1000;
+  let previous = getTimeZoneOffset(from, timeZone);
+
+  // Zones change offset at most a few times a year, so daily probes find every change
+  for (let probe = new Date(from).getTime() + 24 * hour; probe < new Date(to).getTime() + 24 * hour; probe += 24 * hour) {
+    const offset = getTimeZoneOffset(probe, timeZone);
+    if (offset === previous) continue;
+
+    // Narrow the change down to the minute
+    const minute = 60 * 1000;
+    let low = Math.floor((probe - 24 * hour) / minute);
+    let high = Math.ceil(probe / minute);
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (getTimeZoneOffset(middle * minute, timeZone) === previous) low = middle;
+      else high = middle;
+    }
+    high *= minute;
+
+    if (high < new Date(to).getTime()) {
+      transitions.push({ at: new Date(high), offsetFrom: previous, offsetTo: offset });
+    }
+    previous = offset;
+  }
+
+  return transitions;
+};
+
+// Moves an instant by a wall-clock amount, so 09:00 stays 09:00 across a DST change
+const shiftWallTime = (date, shift, timeZone = DEFAULT_TIME_ZONE) => fromWallTime(toWallTime(date, timeZone) + shift, timeZone);
+
+// Dates with an explicit offset (or Date objects) are absolute; local ones are read in `timeZone`.
+// Returns a Date, or an invalid Date for unparseable input.
+const parseDateTime = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  if (value instanceof Date) return new Date(value);
+
+  const match = LOCAL_DATE_TIME_PATTERN.exec(String(value).trim());
+  if (!match) return new Date(value);
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, ms = 0] = match;
+  const wallTime = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, +String(ms).padEnd(3, '0'));
+  return fromWallTime(wallTime, timeZone);
+};
+
+const pad = (n, width = 2) => String(Math.abs(n)).padStart(width, '0');
+
+// "2025-12-05T14:00:00+05:00"
+const formatDateTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const wall = new Date(toWallTime(date, timeZone));
+  const offsetMinutes = Math.round(getTimeZoneOffset(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+
+  return `${wall.getUTCFullYear()}-${pad(wall.getUTCMonth() + 1)}-${pad(wall.getUTCDate())}` +
+    `T${pad(wall.getUTCHours())}:${pad(wall.getUTCMinutes())}:${pad(wall.getUTCSeconds())}` +
+    `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+};
+
+const getWeekdayName = (date, timeZone = DEFAULT_TIME_ZONE) => WEEKDAY_NAMES[new Date(toWallTime(date, timeZone)).getUTCDay()];
+
+// Local midnight at the start of the day containing `date`
+const startOfDay = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const wall = new Date(toWallTime(date, timeZone));
+  return fromWallTime(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()), timeZone);
+};
+
+// An all-day event covers whole local days: from midnight of the first day to midnight after the last.
+// An end exactly at local midnight is already exclusive; a missing end means a single day.
+const getAllDayBounds = (start, end, timeZone = DEFAULT_TIME_ZONE) => {
+  const dayStart = startOfDay(start, timeZone);
+  const lastDay = end ? startOfDay(end, timeZone) : dayStart;
+  const endsAtMidnight = end && lastDay.getTime() === new Date(end).getTime() && lastDay > dayStart;
+
+  return {
+    startTime: dayStart,
+    endTime: endsAtMidnight ? lastDay : shiftWallTime(lastDay, 24 * 60 * 60 * 1000, timeZone)
+  };
+};
+
+// Adds local renderings of a meeting's times, e.g. for a user in Asia/Karachi
+const withLocalTimes = (meeting, timeZone) => {
+  if (!timeZone) return meeting;
+  const plain = typeof meeting.toObject === 'function' ? meeting.toObject() : meeting;
+  return {
+    ...plain,
+    localStartTime: formatDateTime(plain.startTime, timeZone),
+    localEndTime: formatDateTime(plain.endTime, timeZone),
+    displayTimeZone: timeZone
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toWallTime,
+  fromWallTime,
+  getTimeZoneOffset,
+  getTimeZoneTransitions,
+  shiftWallTime,
+  parseDateTime,
+  formatDateTime,
+  getWeekdayName,
+  startOfDay,
+  getAllDayBounds,
+  withLocalTimes
+};
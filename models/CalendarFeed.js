@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Subscription feed of one calendar (see lib/feeds.js); only a hash of the feed token is stored
+const CalendarFeedSchema = new mongoose.Schema({
+  calendarId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // SHA-256 of the token in the feed URL
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  lastFetchedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.models.CalendarFeed || mongoose.model('CalendarFeed', CalendarFeedSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One stored meeting currently clashing with another (see lib/conflictLinks.js).
+// Every clash is stored in both directions, so a meeting's links are found by meetingId alone.
+// A recurring series is linked as a whole: the overlap describes its worst clashing occurrence.
+const ConflictLinkSchema = new mongoose.Schema({
+  calendarId: {
+    type: String,
+    trim: true,
+    default: 'default'
+  },
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  conflictingMeetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['back_to_back', 'partial', 'full']
+  },
+  overlapStart: Date,
+  overlapEnd: Date,
+  overlapMinutes: Number
+}, {
+  timestamps: true
+});
+
+ConflictLinkSchema.index({ meetingId: 1, conflictingMeetingId: 1 }, { unique: true });
+ConflictLinkSchema.index({ conflictingMeetingId: 1 });
+ConflictLinkSchema.index({ calendarId: 1 });
+
+module.exports = mongoose.models.ConflictLink || mongoose.model('ConflictLink', ConflictLinkSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Agent conversation history for one session (see lib/sessionStore.js)
+const ConversationSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // OpenAI chat messages (user, assistant with tool_calls, tool results)
+  messages: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Per-session preferences, e.g. the user's IANA time zone
+  settings: {
+    timeZone: String
+  },
+  // The latest unanswered conflict proposals ({ conflictId, proposals }), so "take option 2" works on any instance
+  pendingResolution: mongoose.Schema.Types.Mixed,
+  // Tool calls waiting for the user's confirmation (see lib/pendingActions.js); each also expires on its own
+  pendingActions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // MongoDB removes the document once this passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Conversation || mongoose.model('Conversation', ConversationSchema);
@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const { isValidRRule, getSeriesEnd } = require('../lib/recurrence');
+const { isValidTimeZone } = require('../lib/timezone');
 
 const MeetingSchema = new mongoose.Schema({
+  // Owning calendar (a user ID or shared calendar ID); every query is scoped by it
+  calendarId: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'default'
+  },
   title: {
     type: String,
     required: true,
@@ -18,15 +27,114 @@ const MeetingSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  organizer: {
+    type: String,
+    trim: true
+  },
+  attendees: [{
+    type: String,
+    trim: true
+  }],
+  location: {
+    type: String,
+    trim: true
+  },
+  // How important the meeting is when it clashes with another (see PRIORITIES in lib/meetings.js)
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'critical'],
+    default: 'normal'
+  },
+  // false for meetings that cannot be rescheduled (e.g. an external client call)
+  movable: {
+    type: Boolean,
+    default: true
+  },
+  // true for meetings the calendar owner cannot decline
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // IANA zone the meeting was scheduled in; recurring series repeat in its wall time
+  timeZone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: 'Invalid IANA time zone'
+    }
+  },
+  // All-day meetings run from local midnight to local midnight in timeZone
+  allDay: {
+    type: Boolean,
+    default: false
+  },
+  // Set on the master meeting of a recurring series; startTime/endTime are the first occurrence
+  recurrence: {
+    rrule: {
+      type: String,
+      validate: {
+        validator: (value) => !value || isValidRRule(value),
+        message: 'Invalid or unsupported RRULE'
+      }
+    },
+    exdates: [Date]
+  },
+  // End of the series' last occurrence (unset for one-off meetings and endless series)
+  recurrenceEnd: Date,
+  // Set on a single occurrence that was edited and detached from its series
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting'
+  },
+  originalStartTime: Date,
+  // UID of a meeting imported from an .ics file, so re-importing it updates instead of duplicating
+  icalUid: {
+    type: String,
+    trim: true
+  },
   hasConflict: {
     type: Boolean,
     default: false
-  }
+  },
+  // Worst overlap with the meetings it clashes with (unset without a conflict)
+  conflictSeverity: {
+    type: String,
+    enum: ['back_to_back', 'partial', 'full']
+  },
+  // Set when the meeting is deleted; deleted meetings stay stored so the deletion can be undone
+  deletedAt: Date
 }, {
   timestamps: true
 });
 
+MeetingSchema.pre('save', function () {
+  this.recurrenceEnd = this.recurrence?.rrule ? getSeriesEnd(this) : undefined;
+});
+
+// Deleted meetings are left out of every query, update and aggregation unless it sets the withDeleted option
+MeetingSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+});
+
+MeetingSchema.pre('aggregate', function () {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Values as loaded, so lib/history.js can record what a save changed
+MeetingSchema.post('init', function () {
+  this.$locals.stored = this.toObject();
+});
+
 // Index for faster queries
+MeetingSchema.index({ calendarId: 1, startTime: 1, endTime: 1 });
 MeetingSchema.index({ startTime: 1, endTime: 1 });
+MeetingSchema.index({ calendarId: 1, 'recurrence.rrule': 1, recurrenceEnd: 1 });
+MeetingSchema.index({ seriesId: 1, originalStartTime: 1 });
+MeetingSchema.index({ calendarId: 1, icalUid: 1 });
+MeetingSchema.index({ organizer: 1 });
+MeetingSchema.index({ attendees: 1 });
 
 module.exports = mongoose.models.Meeting || mongoose.model('Meeting', MeetingSchema);
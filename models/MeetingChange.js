@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One versioned change to a stored meeting (see lib/history.js). Every meeting written by the same
+// request shares its changeId, so e.g. splitting a series is listed and undone as one change.
+const MeetingChangeSchema = new mongoose.Schema({
+  calendarId: {
+    type: String,
+    trim: true,
+    default: 'default'
+  },
+  changeId: {
+    type: String,
+    required: true
+  },
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  // 1 for the change that created the meeting, then +1 per change
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  // Meeting title after the change (before it, for a delete), to list history of deleted meetings
+  title: String,
+  // Values of the changed fields before and after the change (unset before a create / after a delete)
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  source: {
+    type: String,
+    enum: ['rest', 'agent', 'supervisor', 'import']
+  },
+  sessionId: String,
+  metadata: {
+    responseTime: Number,
+    // Model that handled the request (unset for plain REST requests)
+    model: String
+  },
+  // Set on the changes an undo reverted
+  undoneAt: Date,
+  // Set on the changes made by an undo: the changeId they reverted
+  undoOf: String
+}, {
+  timestamps: true
+});
+
+MeetingChangeSchema.index({ meetingId: 1, version: -1 });
+MeetingChangeSchema.index({ changeId: 1 });
+MeetingChangeSchema.index({ calendarId: 1, createdAt: -1 });
+MeetingChangeSchema.index({ sessionId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.MeetingChange || mongoose.model('MeetingChange', MeetingChangeSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Soft scheduling rules of one calendar (see lib/schedulingRules.js). Meetings breaking them are still
+// scheduled, but reported with soft conflicts next to the hard overlaps.
+const SchedulingRulesSchema = new mongoose.Schema({
+  calendarId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // IANA zone working hours and focus time are local to (defaults to the meeting's own zone)
+  timeZone: String,
+  // Minimum gap between two meetings of the same person or room
+  bufferMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Gap needed to get from one physical location to another, unless travelTimes lists the pair
+  defaultTravelMinutes: {
+    type: Number,
+    default: 0
+  },
+  travelTimes: [{
+    _id: false,
+    from: String,
+    to: String,
+    minutes: Number
+  }],
+  // "HH:MM" local times; unset means working hours are not checked
+  workingHours: {
+    start: String,
+    end: String
+  },
+  // Weekday numbers, 0 = Sunday
+  workingDays: [Number],
+  // Recurring blocks kept free of meetings
+  focusBlocks: [{
+    _id: false,
+    label: String,
+    days: [Number],
+    start: String,
+    end: String
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.models.SchedulingRules || mongoose.model('SchedulingRules', SchedulingRulesSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const ConflictSchema = new mongoose.Schema({
+  // Calendar the clash happened in (see Meeting.calendarId)
+  calendarId: {
+    type: String,
+    trim: true,
+    default: 'default'
+  },
   scenario: { 
     type: String, 
     required: true,
@@ -37,12 +43,65 @@ const ConflictSchema = new mongoose.Schema({
     ],
     default: 'general'
   },
+  // How the clash ended up being handled
+  outcome: {
+    type: String,
+    enum: ['pending', 'forced', 'rescheduled', 'cancelled', 'ignored'],
+    default: 'pending'
+  },
+  // Meeting (or occurrence) IDs involved, the new/changed meeting first
+  meetingIds: [String],
+  // Worst overlap among the meetings involved
+  severity: {
+    type: String,
+    enum: ['back_to_back', 'partial', 'full']
+  },
+  // Snapshot of the meetings at detection time, kept even if they are later deleted.
+  // Each clashing meeting carries how it overlaps the first one.
+  meetings: [{
+    _id: false,
+    meetingId: String,
+    title: String,
+    startTime: Date,
+    endTime: Date,
+    overlap: {
+      start: Date,
+      end: Date,
+      minutes: Number,
+      // Share of the first (new/changed) meeting and of this meeting that overlaps, 0-100
+      meetingPercent: Number,
+      conflictPercent: Number,
+      severity: {
+        type: String,
+        enum: ['back_to_back', 'partial', 'full']
+      }
+    }
+  }],
+  // Ranked keep/move/decline advice for the meetings involved (event prioritization only)
+  recommendations: [{
+    _id: false,
+    meetingId: String,
+    title: String,
+    rank: Number,
+    score: Number,
+    action: {
+      type: String,
+      enum: ['keep', 'move', 'decline']
+    },
+    reasons: [String],
+    suggestedStartTime: Date,
+    suggestedEndTime: Date
+  }],
+  source: {
+    type: String,
+    enum: ['rest', 'agent', 'supervisor', 'import']
+  },
+  sessionId: String,
+  resolvedAt: Date,
   metadata: {
     responseTime: Number,
-    model: {
-      type: String,
-      default: 'gpt-4o-mini'
-    }
+    // Model that handled the request (unset for plain REST requests)
+    model: String
   }
 }, {
   timestamps: true
@@ -52,5 +111,9 @@ const ConflictSchema = new mongoose.Schema({
 ConflictSchema.index({ conflictType: 1, createdAt: -1 });
 ConflictSchema.index({ intent: 1 });
 ConflictSchema.index({ createdAt: -1 });
+ConflictSchema.index({ calendarId: 1, outcome: 1 });
+ConflictSchema.index({ calendarId: 1, severity: 1 });
+ConflictSchema.index({ calendarId: 1, createdAt: -1 });
+ConflictSchema.index({ meetingIds: 1, outcome: 1 });
 
 module.exports = mongoose.models.Conflict || mongoose.model('Conflict', ConflictSchema);
\ No newline at end of file
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runAgent, confirmActions, clearSession } = require('../lib/agent');
+const { createFakeProvider } = require('../lib/llm');
+const { createMemoryStore } = require('../lib/sessionStore');
+
+// These turns only use tools that work without a database
+const script = [
+  { match: 'hello', steps: [{ content: 'Hi! How can I help with your calendar?' }] },
+  {
+    match: 'go ahead',
+    steps: [
+      { tool_calls: [{ name: 'confirm_action', arguments: {} }] },
+      { content: 'There was nothing to confirm.' }
+    ]
+  },
+  {
+    match: 'stream',
+    steps: [
+      { content: 'Let me check.', tool_calls: [{ name: 'cancel_action', arguments: {} }] },
+      { content: 'Nothing to cancel.' }
+    ]
+  },
+  { match: 'mystery', steps: [{ tool_calls: [{ name: 'summon_meeting', arguments: {} }] }, { content: 'I cannot do that.' }] },
+  {
+    match: 'loop',
+    steps: [
+      { tool_calls: [{ name: 'cancel_action', arguments: {} }] },
+      { tool_calls: [{ name: 'cancel_action', arguments: {} }] },
+      { content: 'I could not finish that.' }
+    ]
+  }
+];
+
+const run = (store, query, options = {}) => runAgent({
+  query,
+  sessionId: 'session-1',
+  calendarId: 'test',
+  source: 'agent',
+  provider: createFakeProvider({ script, model: 'fake-model' }),
+  store,
+  ...options
+});
+
+test('answers without tools and keeps the turn in the session history', async () => {
+  const store = createMemoryStore();
+
+  const result = await run(store, 'hello there', { timeZone: 'Europe/Berlin' });
+
+  assert.equal(result.answer, 'Hi! How can I help with your calendar?');
+  assert.deepEqual(result.actions, []);
+  assert.equal(result.iterations, 1);
+  assert.equal(result.model, 'fake-model');
+  assert.deepEqual(await store.get('session-1'), [
+    { role: 'user', content: 'hello there' },
+    { role: 'assistant', content: 'Hi! How can I help with your calendar?' }
+  ]);
+});
+
+test('remembers the session time zone for later requests', async () => {
+  const store = createMemoryStore();
+
+  await run(store, 'hello', { timeZone: 'Asia/Karachi' });
+  const later = await run(store, 'hello again');
+
+  assert.equal(later.timeZone, 'Asia/Karachi');
+  assert.equal((await store.get('session-1')).length, 4);
+});
+
+test('runs the tools the model calls and feeds their results back', async () => {
+  const store = createMemoryStore();
+
+  const result = await run(store, 'go ahead');
+
+  assert.equal(result.answer, 'There was nothing to confirm.');
+  assert.equal(result.iterations, 2);
+  assert.deepEqual(result.actions.map(a => [a.tool, a.result.success, a.result.error]), [
+    ['confirm_action', false, 'There is nothing waiting for confirmation']
+  ]);
+  assert.deepEqual(result.pendingConfirmations, []);
+
+  const history = await store.get('session-1');
+  assert.deepEqual(history.map(m => m.role), ['user', 'assistant', 'tool', 'assistant']);
+  assert.equal(history[2].tool_call_id, history[1].tool_calls[0].id);
+});
+
+test('streams progress, and only the answer as tokens', async () => {
+  const events = [];
+
+  const result = await run(createMemoryStore(), 'stream it', { onEvent: (type, data) => events.push([type, data]) });
+
+  assert.deepEqual(events.map(([type]) => type), [
+    'thinking', 'tool_call_started', 'tool_call_finished', 'thinking', 'token', 'token', 'token'
+  ]);
+  // "Let me check." came with a tool call, so it is not part of the answer
+  assert.equal(events.filter(([type]) => type === 'token').map(([, data]) => data.text).join(''), result.answer);
+});
+
+test('reports an unknown tool to the model instead of failing', async () => {
+  const result = await run(createMemoryStore(), 'a mystery request');
+
+  assert.equal(result.answer, 'I cannot do that.');
+  assert.deepEqual(result.actions[0].result, { success: false, error: 'Unknown function: summon_meeting' });
+});
+
+test('stops calling tools at the iteration limit', async () => {
+  const result = await run(createMemoryStore(), 'loop forever', { maxIterations: 2 });
+
+  assert.equal(result.iterationLimitReached, true);
+  assert.equal(result.iterations, 2);
+  assert.equal(result.actions.length, 2);
+  // The last model call is asked for an answer without tools
+  assert.equal(result.answer, 'I could not finish that.');
+});
+
+test('confirming without pending changes is an error and forgets nothing', async () => {
+  const store = createMemoryStore();
+  await run(store, 'hello');
+
+  const outcome = await confirmActions({ sessionId: 'session-1', store });
+
+  assert.deepEqual(outcome, { error: 'There is nothing waiting for confirmation' });
+  assert.equal((await store.get('session-1')).length, 2);
+});
+
+test('clearing a session forgets its history and settings', async () => {
+  const store = createMemoryStore();
+  await run(store, 'hello', { timeZone: 'Europe/Berlin' });
+
+  await clearSession('session-1', store);
+
+  assert.deepEqual(await store.get('session-1'), []);
+  assert.deepEqual(await store.getSettings('session-1'), {});
+  assert.equal(await store.count(), 0);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar, parseICalendar } = require('../lib/ics');
+const { normalizeRecurrence } = require('../lib/recurrence');
+const { fromWallTime } = require('../lib/timezone');
+
+const roundTrip = (meetings, timeZone) => {
+  const parsed = parseICalendar(buildCalendar(meetings, { name: 'Test', stamp: new Date('2026-01-01T00:00:00Z') }), timeZone);
+  assert.equal(parsed.error, undefined);
+  return parsed.events;
+};
+
+test('round-trips a meeting with its details', () => {
+  const meeting = {
+    _id: '64b7f0000000000000000001',
+    title: 'Design review; part 1',
+    description: 'Agenda:\nslides, demo',
+    location: 'Room 4',
+    organizer: 'sam@example.com',
+    attendees: ['alex@example.com', 'kim@example.com'],
+    startTime: new Date('2026-02-10T14:00:00Z'),
+    endTime: new Date('2026-02-10T15:00:00Z'),
+    timeZone: 'Europe/Berlin'
+  };
+
+  const [event] = roundTrip([meeting]);
+
+  assert.equal(event.title, meeting.title);
+  assert.equal(event.description, meeting.description);
+  assert.equal(event.location, meeting.location);
+  assert.equal(event.organizer, meeting.organizer);
+  assert.deepEqual(event.attendees, meeting.attendees);
+  assert.equal(event.startTime.toISOString(), meeting.startTime.toISOString());
+  assert.equal(event.endTime.toISOString(), meeting.endTime.toISOString());
+  assert.equal(event.timeZone, 'Europe/Berlin');
+  assert.equal(event.allDay, false);
+});
+
+test('round-trips a series with its RRULE and EXDATEs', () => {
+  const series = {
+    _id: '64b7f0000000000000000002',
+    title: 'Standup',
+    startTime: new Date('2026-03-02T08:00:00Z'),
+    endTime: new Date('2026-03-02T08:15:00Z'),
+    timeZone: 'Europe/Berlin',
+    recurrence: normalizeRecurrence('FREQ=WEEKLY;BYDAY=MO,TU;COUNT=10', ['2026-03-03T08:00:00Z'])
+  };
+
+  const [event] = roundTrip([series]);
+
+  assert.equal(event.recurrence.rrule, series.recurrence.rrule);
+  assert.deepEqual(event.recurrence.exdates.map(d => d.toISOString()), ['2026-03-03T08:00:00.000Z']);
+  assert.equal(event.timeZone, 'Europe/Berlin');
+});
+
+test('round-trips an all-day series with a date UNTIL', () => {
+  const start = fromWallTime(Date.UTC(2025, 11, 1), 'Europe/Berlin');
+  const series = {
+    _id: '64b7f0000000000000000003',
+    title: 'Offsite',
+    startTime: start,
+    endTime: fromWallTime(Date.UTC(2025, 11, 2), 'Europe/Berlin'),
+    allDay: true,
+    timeZone: 'Europe/Berlin',
+    recurrence: { rrule: 'FREQ=DAILY;UNTIL=20251205T225959Z', exdates: [] }
+  };
+
+  const ics = buildCalendar([series], { stamp: new Date('2026-01-01T00:00:00Z') });
+  assert.match(ics, /DTSTART;VALUE=DATE:20251201/);
+  assert.match(ics, /RRULE:FREQ=DAILY;UNTIL=20251205\r\n/);
+
+  const [event] = roundTrip([series], 'Europe/Berlin');
+  assert.equal(event.allDay, true);
+  assert.equal(event.startTime.toISOString(), start.toISOString());
+  assert.equal(event.recurrence.rrule, 'FREQ=DAILY;UNTIL=20251205T225959Z');
+});
+
+test('rejects a file that is not a calendar', () => {
+  assert.ok(parseICalendar('hello').error);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeProvider, createProvider, getLLMConfig, checkLLMConfig } = require('../lib/llm');
+
+const script = [
+  {
+    match: 'cancel',
+    steps: [
+      { tool_calls: [{ name: 'get_meetings', arguments: { startDate: '2026-01-05' } }, { name: 'find_meeting', arguments: { text: 'standup' } }] },
+      { content: 'Which one should I cancel?' }
+    ]
+  },
+  { match: '^hi\\b', steps: [{ content: 'Hello there.' }] }
+];
+
+const user = (content) => ({ role: 'user', content });
+
+test('replays the first turn whose match fits the latest user message, ignoring case', async () => {
+  const provider = createFakeProvider({ script });
+
+  const message = await provider.complete({ messages: [user('hi'), { role: 'assistant', content: 'Hello there.' }, user('Please CANCEL my standup')] });
+
+  assert.equal(message.role, 'assistant');
+  assert.deepEqual(message.tool_calls.map(call => call.function.name), ['get_meetings', 'find_meeting']);
+});
+
+test('returns tool calls in the OpenAI format with JSON arguments', async () => {
+  const provider = createFakeProvider({ script });
+
+  const { content, tool_calls: calls } = await provider.complete({ messages: [user('cancel standup')] });
+
+  assert.equal(content, null);
+  assert.deepEqual(calls[0], {
+    id: 'fake_0_0',
+    type: 'function',
+    function: { name: 'get_meetings', arguments: '{"startDate":"2026-01-05"}' }
+  });
+  assert.equal(calls[1].id, 'fake_0_1');
+});
+
+test('takes one step per model call within a request', async () => {
+  const provider = createFakeProvider({ script });
+  const messages = [user('cancel standup')];
+
+  const first = await provider.complete({ messages });
+  messages.push(first, { role: 'tool', tool_call_id: 'fake_0_0', content: '{}' }, { role: 'tool', tool_call_id: 'fake_0_1', content: '{}' });
+  const second = await provider.complete({ messages });
+  messages.push(second);
+  const third = await provider.complete({ messages });
+
+  assert.equal(second.content, 'Which one should I cancel?');
+  assert.equal(second.tool_calls, undefined);
+  // Past the end of the script it answers instead of calling tools again
+  assert.equal(third.content, 'Done.');
+});
+
+test('starts over for every new user message', async () => {
+  const provider = createFakeProvider({ script });
+  const messages = [user('cancel standup'), { role: 'assistant', content: 'Which one should I cancel?' }, user('cancel the first one')];
+
+  const message = await provider.complete({ messages });
+
+  assert.equal(message.tool_calls[0].id, 'fake_0_0');
+});
+
+test('echoes messages no turn matches', async () => {
+  const provider = createFakeProvider({ script, model: 'scripted' });
+
+  assert.deepEqual(await provider.complete({ messages: [user('what is on today?')] }), {
+    role: 'assistant',
+    content: '(fake) what is on today?'
+  });
+  assert.equal(provider.name, 'fake');
+  assert.equal(provider.model, 'scripted');
+});
+
+test('streams the content word by word', async () => {
+  const provider = createFakeProvider({ script });
+  const tokens = [];
+
+  const message = await provider.stream({ messages: [user('hi you')], onToken: (text) => tokens.push(text) });
+
+  assert.deepEqual(tokens, ['Hello ', 'there.']);
+  assert.equal(message.content, 'Hello there.');
+});
+
+test('is configured from LLM_PROVIDER and LLM_FAKE_SCRIPT, inline or as a file', async () => {
+  const inline = getLLMConfig({ LLM_PROVIDER: 'fake', LLM_FAKE_SCRIPT: JSON.stringify(script) });
+  assert.equal(checkLLMConfig(inline), null);
+  assert.equal((await createProvider(inline).complete({ messages: [user('hi')] })).content, 'Hello there.');
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-test-')), 'script.json');
+  fs.writeFileSync(file, JSON.stringify(script));
+  try {
+    const fromFile = createProvider(getLLMConfig({ LLM_PROVIDER: 'fake', LLM_FAKE_SCRIPT: file }));
+    assert.equal((await fromFile.complete({ messages: [user('hi')] })).content, 'Hello there.');
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('reports a provider that cannot run', () => {
+  assert.equal(checkLLMConfig(getLLMConfig({ LLM_PROVIDER: 'other' })), 'Unknown LLM_PROVIDER: other');
+  assert.equal(checkLLMConfig(getLLMConfig({})), 'Missing OpenAI API key');
+  assert.equal(checkLLMConfig(getLLMConfig({ LLM_BASE_URL: 'http://localhost:11434/v1' })), null);
+});
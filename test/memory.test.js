@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compactHistory, countTokens } = require('../lib/memory');
+
+// One user request, a tool call with its result and the answer
+const turn = (n) => [
+  { role: 'user', content: `Book meeting ${n} ${'with a long description '.repeat(5)}` },
+  { role: 'assistant', content: null, tool_calls: [{ id: `call_${n}`, type: 'function', function: { name: 'create_meeting', arguments: '{}' } }] },
+  { role: 'tool', tool_call_id: `call_${n}`, content: JSON.stringify({ success: true, meeting: { id: `m${n}`, title: `Meeting ${n}`, startTime: '2026-01-05T09:00:00.000Z' } }) },
+  { role: 'assistant', content: `Booked meeting ${n}.` }
+];
+
+test('keeps a short history as it is', () => {
+  const history = [...turn(1), ...turn(2)];
+  assert.deepEqual(compactHistory(history, { budget: 3000 }), history);
+});
+
+test('rolls old turns into a summary that keeps meeting IDs', () => {
+  const history = Array.from({ length: 10 }, (_, i) => turn(i + 1)).flat();
+
+  const compacted = compactHistory(history, { budget: 400 });
+
+  assert.equal(compacted[0].role, 'system');
+  assert.match(compacted[0].content, /^Summary of the earlier conversation/);
+  assert.match(compacted[0].content, /create_meeting: "Meeting \d+" \(id m\d+/);
+  // The summary's heading is not counted against its share, so it may run a few tokens over
+  assert.ok(countTokens(compacted) <= 420);
+  assert.ok(countTokens(compacted) < countTokens(history) / 2);
+  // The latest turn is kept whole
+  assert.deepEqual(compacted.slice(-4), turn(10));
+});
+
+test('never separates tool calls from their results', () => {
+  const history = Array.from({ length: 10 }, (_, i) => turn(i + 1)).flat();
+
+  const kept = compactHistory(history, { budget: 400 }).slice(1);
+
+  assert.equal(kept[0].role, 'user');
+  kept.forEach((message, i) => {
+    if (message.role === 'tool') assert.equal(kept[i - 1].tool_calls[0].id, message.tool_call_id);
+  });
+});
+
+test('summarizes a turn cut off from its user message', () => {
+  const history = [...turn(1).slice(1), ...turn(2)];
+
+  const compacted = compactHistory(history, { budget: 3000 });
+
+  assert.equal(compacted[0].role, 'system');
+  assert.match(compacted[0].content, /Meeting 1/);
+  assert.deepEqual(compacted.slice(1), turn(2));
+});
+
+test('extends an earlier summary', () => {
+  const first = compactHistory(Array.from({ length: 6 }, (_, i) => turn(i + 1)).flat(), { budget: 400 });
+  const second = compactHistory([...first, ...turn(7), ...turn(8)], { budget: 400 });
+
+  assert.equal(second.filter(m => m.role === 'system').length, 1);
+  assert.deepEqual(second.slice(-4), turn(8));
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { expandOccurrences, normalizeRecurrence } = require('../lib/recurrence');
+
+const iso = (occurrences) => occurrences.map(o => o.start.toISOString());
+
+test('expands a weekly rule on several days until UNTIL', () => {
+  const series = {
+    startTime: new Date('2026-01-05T09:00:00Z'),
+    endTime: new Date('2026-01-05T10:00:00Z'),
+    timeZone: 'UTC',
+    recurrence: normalizeRecurrence('FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260118T235959Z')
+  };
+
+  const occurrences = expandOccurrences(series, new Date('2026-01-01'), new Date('2026-02-01'));
+
+  assert.deepEqual(iso(occurrences), [
+    '2026-01-05T09:00:00.000Z',
+    '2026-01-07T09:00:00.000Z',
+    '2026-01-12T09:00:00.000Z',
+    '2026-01-14T09:00:00.000Z'
+  ]);
+  assert.equal(occurrences[0].end.toISOString(), '2026-01-05T10:00:00.000Z');
+});
+
+test('leaves out EXDATEs, which still count towards COUNT', () => {
+  const series = {
+    startTime: new Date('2026-01-05T09:00:00Z'),
+    endTime: new Date('2026-01-05T09:30:00Z'),
+    timeZone: 'UTC',
+    recurrence: normalizeRecurrence('FREQ=DAILY;COUNT=4', ['2026-01-06T09:00:00Z'])
+  };
+
+  const occurrences = expandOccurrences(series, new Date('2026-01-01'), new Date('2026-02-01'));
+
+  assert.deepEqual(iso(occurrences), ['2026-01-05T09:00:00.000Z', '2026-01-07T09:00:00.000Z', '2026-01-08T09:00:00.000Z']);
+});
+
+test('keeps the local time of day across a DST change', () => {
+  // 09:00 in Berlin: 08:00Z before the change on 29 March, 07:00Z after it
+  const series = {
+    startTime: new Date('2026-03-27T08:00:00Z'),
+    endTime: new Date('2026-03-27T08:30:00Z'),
+    timeZone: 'Europe/Berlin',
+    recurrence: normalizeRecurrence('FREQ=DAILY;COUNT=4')
+  };
+
+  const occurrences = expandOccurrences(series, new Date('2026-03-01'), new Date('2026-04-30'));
+
+  assert.deepEqual(iso(occurrences), [
+    '2026-03-27T08:00:00.000Z',
+    '2026-03-28T08:00:00.000Z',
+    '2026-03-29T07:00:00.000Z',
+    '2026-03-30T07:00:00.000Z'
+  ]);
+  assert.equal(occurrences[2].end.toISOString(), '2026-03-29T07:30:00.000Z');
+});
+
+test('returns only occurrences overlapping the range', () => {
+  const series = {
+    startTime: new Date('2026-01-05T09:00:00Z'),
+    endTime: new Date('2026-01-05T10:00:00Z'),
+    timeZone: 'UTC',
+    recurrence: normalizeRecurrence('FREQ=DAILY')
+  };
+
+  const occurrences = expandOccurrences(series, new Date('2026-01-10T09:30:00Z'), new Date('2026-01-12T09:00:00Z'));
+
+  assert.deepEqual(iso(occurrences), ['2026-01-10T09:00:00.000Z', '2026-01-11T09:00:00.000Z']);
+});
+
+test('rejects an invalid rule', () => {
+  assert.throws(() => normalizeRecurrence('FREQ=SOMETIMES'));
+});
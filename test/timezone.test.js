@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fromWallTime, toWallTime, shiftWallTime } = require('../lib/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('reads a wall time in the zone', () => {
+  assert.equal(fromWallTime(Date.UTC(2026, 0, 15, 9), 'Europe/Berlin').toISOString(), '2026-01-15T08:00:00.000Z');
+  assert.equal(fromWallTime(Date.UTC(2026, 6, 15, 9), 'Europe/Berlin').toISOString(), '2026-07-15T07:00:00.000Z');
+  assert.equal(toWallTime(new Date('2026-07-15T07:00:00Z'), 'Europe/Berlin'), Date.UTC(2026, 6, 15, 9));
+});
+
+test('moves a time skipped by the spring change forward by the gap', () => {
+  // 02:30 does not exist in Berlin on 29 March 2026; it becomes 03:30 CEST
+  assert.equal(fromWallTime(Date.UTC(2026, 2, 29, 2, 30), 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+});
+
+test('resolves a time repeated by the autumn change to the first one', () => {
+  // 02:30 happens twice in Berlin on 25 October 2026; the first is still CEST
+  assert.equal(fromWallTime(Date.UTC(2026, 9, 25, 2, 30), 'Europe/Berlin').toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('shifts by wall-clock days, so 08:00 stays 08:00 across DST', () => {
+  // 08:00 EDT on 31 October, 08:00 EST on 1 November
+  assert.equal(shiftWallTime(new Date('2026-10-31T12:00:00Z'), DAY_MS, 'America/New_York').toISOString(), '2026-11-01T13:00:00.000Z');
+  assert.equal(shiftWallTime(new Date('2026-03-28T08:00:00Z'), DAY_MS, 'Europe/Berlin').toISOString(), '2026-03-29T07:00:00.000Z');
+});
+
+test('treats UTC as having no offset', () => {
+  assert.equal(fromWallTime(Date.UTC(2026, 2, 29, 2, 30), 'UTC').toISOString(), '2026-03-29T02:30:00.000Z');
+  assert.equal(shiftWallTime(new Date('2026-03-28T08:00:00Z'), DAY_MS, 'UTC').toISOString(), '2026-03-29T08:00:00.000Z');
+});